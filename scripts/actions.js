@@ -1,3 +1,10 @@
+import { getAmmunition } from "./character.js";
+import { getRollOptions, consumeStickyMode } from "./rolls.js";
+import { useProvidedAction } from "./providers.js";
+import { markActivityUsed } from "./economy.js";
+import { removeFavorite } from "./favorites.js";
+import { getActorById } from "./utils.js";
+
 /**
  * Rolls an ability check.
  *
@@ -5,21 +12,22 @@
  * this function will find the right character and then roll the dice for that ability.
  *
  * Expected data on the clicked element:
- * - data-character-id: The ID of the character (actor).
+ * - data-character-id: The UUID of the character (actor).
  * - data-ability: The short name of the ability (for example, "str" for Strength).
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // If a button has data-character-id="123" and data-ability="str", clicking it will roll Strength.
  * rollAbility(event);
  */
-export async function rollAbility(e) {
+export async function rollAbility(e, target = e.currentTarget) {
   e.preventDefault(); // Stop the default click action.
   $(".character-actions").removeClass("show");
   $(".character-stats").removeClass("show");
 
   // Find the element that has the character ID.
-  const element = e.currentTarget.closest("[data-character-id]");
+  const element = target.closest("[data-character-id]");
   if (!element) return ui.notifications.warn("No character data found.");
   
   const characterId = element.dataset.characterId;
@@ -28,12 +36,14 @@ export async function rollAbility(e) {
     return ui.notifications.warn("Missing required data attributes.");
   }
   
-  // Get the actor (the character) by ID.
-  const actor = game.actors.get(characterId);
+  // Get the actor (the character) by UUID.
+  const actor = getActorById(characterId);
   if (!actor) return ui.notifications.warn("Actor not found.");
   
   // Roll the ability check. This simulates throwing dice.
-  await actor.rollAbilityCheck(ability, { dialog: false });
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  consumeStickyMode(options, await actor.rollAbilityCheck({ ability, advantage, disadvantage }, { configure }));
 }
 
 /**
@@ -42,20 +52,21 @@ export async function rollAbility(e) {
  * This function is similar to rollAbility, but it works for skills like Acrobatics.
  *
  * Expected data on the clicked element:
- * - data-character-id: The actor's ID.
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
  * - data-skill: The abbreviation of the skill (for example, "acr" for Acrobatics).
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // If a button has data-character-id="123" and data-skill="ath", clicking it will roll Athletics.
  * rollSkill(event);
  */
-export async function rollSkill(e) {
+export async function rollSkill(e, target = e.currentTarget) {
   e.preventDefault();
   $(".character-actions").removeClass("show");
   $(".character-stats").removeClass("show");
 
-  const element = e.currentTarget.closest("[data-character-id]");
+  const element = target.closest("[data-character-id]");
   if (!element) return ui.notifications.warn("No character data found.");
   
   const characterId = element.dataset.characterId;
@@ -64,15 +75,12 @@ export async function rollSkill(e) {
     return ui.notifications.warn("Missing required data attributes.");
   }
   
-  const actor = game.actors.get(characterId);
+  const actor = getActorById(characterId);
   if (!actor) return ui.notifications.warn("Actor not found.");
 
-  // We try to call the new rollSkillV2 method if it exists. Otherwise, we fall back.
-  if (actor.rollSkillV2) {
-    await actor.rollSkillV2(skill, { dialog: false });
-  } else {
-    await actor.rollSkill(skill, { dialog: false });
-  }
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  consumeStickyMode(options, await actor.rollSkill({ skill, advantage, disadvantage }, { configure }));
 }
 
 /**
@@ -81,21 +89,22 @@ export async function rollSkill(e) {
  * This function is used when a character needs to roll a save (for example, to dodge something).
  *
  * Expected data on the clicked element:
- * - data-character-id: The actor's ID.
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
  * - data-ability: The ability abbreviation for the saving throw (like "dex" for Dexterity save).
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // Clicking a save button with data-character-id="123" and data-ability="dex" rolls a Dexterity saving throw.
  * rollSave(event);
  */
-export async function rollSave(e) {
+export async function rollSave(e, target = e.currentTarget) {
   e.preventDefault();
   e.stopPropagation(); // Stop the event from bubbling up.
   $(".character-actions").removeClass("show");
   $(".character-stats").removeClass("show");
 
-  const element = e.currentTarget.closest("[data-character-id]");
+  const element = target.closest("[data-character-id]");
   if (!element) return ui.notifications.warn("No character data found.");
   
   const characterId = element.dataset.characterId;
@@ -104,11 +113,122 @@ export async function rollSave(e) {
     return ui.notifications.warn("Missing required data attributes.");
   }
   
-  const actor = game.actors.get(characterId);
+  const actor = getActorById(characterId);
   if (!actor) return ui.notifications.warn("Actor not found.");
   
   // Roll the saving throw (like dodging a trap).
-  await actor.rollSavingThrow(ability, { dialog: false });
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  consumeStickyMode(options, await actor.rollSavingThrow({ ability, advantage, disadvantage }, { configure }));
+}
+
+/**
+ * Gets the list of activities of an item.
+ *
+ * In dnd5e, an item keeps the things it can do (like "attack" for a weapon or "cast" for a spell)
+ * in a collection called "activities". This turns that collection into a plain array.
+ *
+ * @param {Item5e} item - The item to read.
+ * @returns {Activity[]} The item's activities (may be empty).
+ */
+function getItemActivities(item) {
+  return Array.from(item.system?.activities ?? []);
+}
+
+/**
+ * Finds the actor and item for a clicked action tile or activity menu.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-item-id: The item's ID.
+ *
+ * @param {HTMLElement} target - The clicked element.
+ * @returns {{actor: Actor5e, item: Item5e, element: HTMLElement}|undefined} The actor and item,
+ *   or undefined (after showing a warning) if something is missing.
+ */
+function getActionItem(target) {
+  const element = target.closest("[data-item-id]");
+  if (!element) {
+    ui.notifications.warn("No character data found.");
+    return;
+  }
+
+  const characterId = element.dataset.characterId;
+  const itemId = element.dataset.itemId;
+  if (!characterId || !itemId) {
+    ui.notifications.warn("Missing required data attributes.");
+    return;
+  }
+
+  const actor = getActorById(characterId);
+  if (!actor) {
+    ui.notifications.warn("Actor not found.");
+    return;
+  }
+
+  // Get the item from the actor's items collection.
+  const item = actor.items.get(itemId);
+  if (!item) {
+    ui.notifications.warn("Item not found.");
+    return;
+  }
+  return { actor, item, element };
+}
+
+/**
+ * Rolls a death saving throw.
+ *
+ * When a character is at 0 HP, they roll a death save at the start of each of their turns.
+ * dnd5e counts the result for us: 10 or more is a success, a 20 brings them back with 1 HP,
+ * and a 1 counts as two failures.
+ *
+ * Expected data on the clicked element:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @example
+ * // Clicking the death save button on a dying character rolls their death save.
+ * rollDeathSave(event);
+ */
+export async function rollDeathSave(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+
+  const element = target.closest("[data-character-id]");
+  if (!element) return ui.notifications.warn("No character data found.");
+
+  const actor = getActorById(element.dataset.characterId);
+  if (!actor) return ui.notifications.warn("Actor not found.");
+
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  consumeStickyMode(options, await actor.rollDeathSave({ advantage, disadvantage }, { configure }));
+}
+
+/**
+ * Uses an activity (like an attack or a spell) with the roll options from the HUD.
+ *
+ * The roll dialog is only forced open when the dialog key is held. Otherwise dnd5e decides,
+ * so spells still ask which slot to use. For attacks with advantage or disadvantage,
+ * the attack is rolled straight away instead of waiting for the button in the chat card.
+ *
+ * During combat, the action, bonus action or reaction the activity takes is marked as spent
+ * (see economy.js). Nothing is marked if the player cancels the dialog.
+ *
+ * @param {Activity} activity - The activity to use.
+ * @param {Event} e - The click event (used to read the modifier keys).
+ */
+async function runActivity(activity, e) {
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  const results = await activity.use({}, configure ? { configure: true } : {});
+  if (!results) return;
+  await markActivityUsed(activity.actor, activity);
+  // Only an attack roll uses up the sticky advantage; a heal or a save for the target leaves it for the next roll.
+  if (activity.type === "attack" && (advantage || disadvantage)) {
+    consumeStickyMode(options, await activity.rollAttack({ advantage, disadvantage }, { configure }));
+  }
 }
 
 /**
@@ -119,61 +239,63 @@ export async function rollSave(e) {
  *
  * It first gets the item from the actor's collection. Then it looks at the item's activities,
  * which is a list of things the item can do (like "attack" for a weapon or "cast" for a spell).
- * If it finds an activity with a roll() method, it calls that method (this means "roll the dice").
  *
- * If no rollable activity is found (for example, if the item is a class feature like Rage),
+ * - If the item has only one activity, that activity is used.
+ * - If the item has several activities and the player picked one as the default, that one is used.
+ * - If the item has several activities and no default, a small menu opens so the player can choose.
+ *
+ * If the item has no activities at all (for example, a class feature like Rage),
  * it will display the item's details in the chat.
+ * Tiles added by other modules (with a data-provider attribute) run their own onUse function instead.
  *
  * Expected data on the clicked element:
- * - data-character-id: The actor's ID.
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
  * - data-item-id: The item's ID.
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // Clicking on a dagger in the HUD will trigger this function and roll an attack.
  * rollAction(event);
  */
-export async function rollAction(e) {
+export async function rollAction(e, target = e.currentTarget) {
   e.preventDefault();
-  $(".character-actions").removeClass("show");
-  $(".character-stats").removeClass("show");
-
-  // Find the element with the character's ID.
-  const element = e.currentTarget.closest("[data-character-id]");
-  if (!element) return ui.notifications.warn("No character data found.");
-  
-  const characterId = element.dataset.characterId;
-  const itemId = element.dataset.itemId;
-  if (!characterId || !itemId) {
-    return ui.notifications.warn("Missing required data attributes.");
+  // Tiles added by other modules run their own onUse function (see providers.js).
+  const provider = target.closest("[data-provider]")?.dataset.provider;
+  if (provider) {
+    const element = target.closest("[data-item-id]");
+    if (!element) return ui.notifications.warn("No character data found.");
+    const actor = getActorById(element.dataset.characterId);
+    if (!actor) return ui.notifications.warn("Actor not found.");
+    $(".character-actions").removeClass("show");
+    $(".character-stats").removeClass("show");
+    return useProvidedAction(provider, element.dataset.itemId, actor, e);
   }
-  
-  const actor = game.actors.get(characterId);
-  if (!actor) return ui.notifications.warn("Actor not found.");
-  
-  // Get the item from the actor's items collection.
-  const item = actor.items.get(itemId);
-  if (!item) return ui.notifications.warn("Item not found.");
-
-  // Get the type of the item (for example, "weapon" or "spell").
-  const itemType = item.data?.type || item.type;
+  const found = getActionItem(target);
+  if (!found) return;
+  const { actor, item } = found;
 
   // Look for activities on the item.
   // Activities are a list of things the item can do (like attack or cast).
-  const activities = item.data?.data?.activities || {};
-
-  // Loop over each activity to see if it can roll.
-  for (const activity of Object.values(activities)) {
-    // If the activity has a roll() method, we use it.
-    if (typeof activity.roll === "function") {
-      // This will "roll the dice" for that activity.
-      await activity.roll();
-      return;
-    }
+  const activities = getItemActivities(item);
+  const defaultId = item.getFlag("fancy-hud-5e", "defaultActivity");
+  const activity = activities.length === 1
+    ? activities[0]
+    : activities.find(a => a.id === defaultId);
+
+  // Several activities and nothing chosen yet: let the player pick one.
+  if (!activity && activities.length > 1) return openActivityMenu(e, target);
+
+  $(".character-actions").removeClass("show");
+  $(".character-stats").removeClass("show");
+
+  if (activity) {
+    // This will "roll the dice" (or cast, or use) for that activity.
+    await runActivity(activity, e);
+    return;
   }
 
-  // If we did not find any activity with a roll() method,
-  // then the item might not be rollable (like the Rage feature).
+  // If the item has no activities, it might not be rollable (like the Rage feature).
   // In that case, we display the item's details in chat.
   if (typeof item.toChat === "function") {
     await item.toChat();
@@ -189,29 +311,365 @@ export async function rollAction(e) {
   }
 }
 
+/**
+ * Opens (or closes) the activity menu under an action tile.
+ *
+ * Some items can do more than one thing. For example, a Longsword can attack one-handed
+ * or two-handed. This menu lists every activity of the item with its name and icon,
+ * so the player can choose which one to use. Clicking the star next to an activity
+ * makes it the default, so clicking the tile uses it straight away next time.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-item-id: The item's ID.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @example
+ * // Clicking the little arrow on a Longsword tile shows "One-Handed" and "Two-Handed".
+ * openActivityMenu(event);
+ */
+export async function openActivityMenu(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation(); // Do not let the tile itself also handle this click.
+  const found = getActionItem(target);
+  if (!found) return;
+  const { actor, item, element } = found;
+
+  // If this tile already has its menu open, clicking again closes it.
+  const isOpen = $(element).next(".activity-menu").length > 0;
+  closeActivityMenu();
+  if (isOpen) return;
+
+  const defaultId = item.getFlag("fancy-hud-5e", "defaultActivity");
+  const activities = getItemActivities(item).map(activity => ({
+    id: activity.id,
+    name: activity.name,
+    img: activity.img,
+    isDefault: activity.id === defaultId
+  }));
+  console.log("Opening activity menu for:", item.name, activities);
+  const html = await renderTemplate("modules/fancy-hud-5e/templates/activity-menu.hbs", {
+    characterId: actor.uuid,
+    itemId: item.id,
+    activities
+  });
+  $(element).after(html);
+}
+
+/**
+ * Closes any open activity menu.
+ */
+export function closeActivityMenu() {
+  $("#player-character .activity-menu").remove();
+}
+
+/**
+ * Uses the activity that was clicked in the activity menu.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-activity-id: The activity's ID.
+ * - data-character-id: The actor's UUID (on the menu).
+ * - data-item-id: The item's ID (on the menu).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @example
+ * // Clicking "Two-Handed" in a Longsword's menu rolls the two-handed attack.
+ * useActivity(event);
+ */
+export async function useActivity(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const found = getActionItem(target);
+  if (!found) return;
+  const activityId = target.closest("[data-activity-id]")?.dataset.activityId;
+  const activity = found.item.system.activities?.get(activityId);
+  if (!activity) return ui.notifications.warn("Activity not found.");
+
+  closeActivityMenu();
+  $(".character-actions").removeClass("show");
+  $(".character-stats").removeClass("show");
+  await runActivity(activity, e);
+}
+
+/**
+ * Makes the clicked activity the default for its item, or clears it if it already is.
+ *
+ * The choice is saved on the item itself (in a flag), so it is remembered between sessions.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-activity-id: The activity's ID.
+ * - data-character-id: The actor's UUID (on the menu).
+ * - data-item-id: The item's ID (on the menu).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ */
+export async function toggleDefaultActivity(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const found = getActionItem(target);
+  if (!found) return;
+  const { item } = found;
+  const activityId = target.closest("[data-activity-id]")?.dataset.activityId;
+  if (!activityId) return;
+
+  closeActivityMenu();
+  if (item.getFlag("fancy-hud-5e", "defaultActivity") === activityId) {
+    console.log("Clearing default activity for:", item.name);
+    await item.unsetFlag("fancy-hud-5e", "defaultActivity");
+  } else {
+    console.log("Setting default activity for:", item.name, activityId);
+    await item.setFlag("fancy-hud-5e", "defaultActivity", activityId);
+  }
+}
+
+/**
+ * Spends or restores a spell slot when a pip is clicked.
+ *
+ * Clicking a filled pip (a slot that is left) spends it and every slot after it.
+ * Clicking an empty pip (a used slot) restores it and every slot before it.
+ * For example, with 2 of 4 slots left, clicking the fourth pip sets the slots left to 4,
+ * and clicking the first pip sets them to 0.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-slot: The slot key (like "spell1" or "pact").
+ * - data-index: The position of the clicked pip, starting at 0 (on the pip itself).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @example
+ * // Clicking the first filled pip of "Level 1" spends a first level slot.
+ * toggleSpellSlot(event);
+ */
+export async function toggleSpellSlot(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation(); // Keep the stats panel open.
+
+  const element = target.closest("[data-slot]");
+  if (!element) return ui.notifications.warn("No character data found.");
+
+  const characterId = element.dataset.characterId;
+  const slot = element.dataset.slot;
+  const index = Number(target.dataset.index);
+  if (!characterId || !slot || Number.isNaN(index)) {
+    return ui.notifications.warn("Missing required data attributes.");
+  }
+
+  const actor = getActorById(characterId);
+  if (!actor) return ui.notifications.warn("Actor not found.");
+
+  const current = actor.system.spells?.[slot]?.value ?? 0;
+  const value = index < current ? index : index + 1;
+  console.log("Setting spell slots", slot, "from", current, "to", value);
+  await actor.update({ [`system.spells.${slot}.value`]: value });
+}
+
+/**
+ * Finds the actor and item behind an action tile, without showing any warnings.
+ *
+ * This is used by the right-click menu, which asks about a tile many times while it opens.
+ *
+ * @param {HTMLElement|jQuery} tile - The action tile.
+ * @returns {{actor: Actor5e, item: Item5e}|undefined} The actor and item, or undefined if not found.
+ */
+function getTileItem(tile) {
+  const element = tile instanceof HTMLElement ? tile : tile?.[0];
+  // Tiles from other modules are not items, so there are no counters to change.
+  if (element?.dataset.provider) return;
+  const actor = getActorById(element?.dataset.characterId);
+  const item = actor?.items.get(element?.dataset.itemId);
+  return item ? { actor, item } : undefined;
+}
+
+/**
+ * Changes the number of uses left on an item.
+ *
+ * dnd5e stores how many uses were spent ("spent"), and works out how many are left from that.
+ * The result is kept between 0 and the item's maximum uses.
+ *
+ * @param {Item5e} item - The item.
+ * @param {number} delta - How many uses to add (positive) or remove (negative).
+ */
+async function adjustUses(item, delta) {
+  const uses = item.system.uses;
+  const max = Number(uses.max) || 0;
+  const value = Math.clamp((uses.value ?? 0) + delta, 0, max);
+  console.log("Setting uses of", item.name, "to", value);
+  if ("spent" in uses) await item.update({ "system.uses.spent": max - value });
+  else await item.update({ "system.uses.value": value });
+}
+
+/**
+ * Changes the quantity of an item, never going below 0.
+ *
+ * @param {Item5e} item - The item.
+ * @param {number} delta - How many to add (positive) or remove (negative).
+ */
+async function adjustQuantity(item, delta) {
+  const quantity = Math.max((item.system.quantity ?? 0) + delta, 0);
+  console.log("Setting quantity of", item.name, "to", quantity);
+  await item.update({ "system.quantity": quantity });
+}
+
+/**
+ * Changes how much ammunition a weapon has left.
+ *
+ * Ammunition lives on separate items (like "Arrows"). Adding goes to the first matching stack;
+ * removing takes from the first stack that still has some left.
+ *
+ * @param {Actor5e} actor - The actor who owns the weapon.
+ * @param {Item5e} weapon - The weapon.
+ * @param {number} delta - How many to add (positive) or remove (negative).
+ */
+async function adjustAmmunition(actor, weapon, delta) {
+  const ammunition = getAmmunition(actor, weapon) ?? [];
+  const stack = delta < 0 ? ammunition.find(a => (a.system.quantity ?? 0) > 0) : ammunition[0];
+  if (!stack) return ui.notifications.warn("No ammunition found.");
+  await adjustQuantity(stack, delta);
+}
+
+/**
+ * Builds the entries of the right-click menu on action tiles.
+ *
+ * Each entry only shows up when it makes sense for the item. For example,
+ * "Spend a use" only shows for items with limited uses that have some left.
+ * The last entry removes the item from the favorites (see favorites.js).
+ * The names are translation keys; the menu translates them itself.
+ *
+ * @returns {Object[]} The menu entries, in the format Foundry's ContextMenu expects.
+ *
+ * @example
+ * // Right-clicking a Healing Potion tile shows "Add one" and "Remove one".
+ * new ContextMenu(document.body, "#player-character .action", actionMenuItems());
+ */
+export function actionMenuItems() {
+  const uses = (tile) => getTileItem(tile)?.item.system.uses;
+  const isConsumable = (tile) => getTileItem(tile)?.item.type === "consumable";
+  const usesAmmo = (tile) => {
+    const found = getTileItem(tile);
+    return !!found && getAmmunition(found.actor, found.item) !== null;
+  };
+  return [
+    {
+      name: "FANCYUI5E.use_spend",
+      icon: '<i class="fas fa-minus"></i>',
+      condition: (tile) => uses(tile)?.max > 0 && uses(tile).value > 0,
+      callback: (tile) => adjustUses(getTileItem(tile).item, -1)
+    },
+    {
+      name: "FANCYUI5E.use_restore",
+      icon: '<i class="fas fa-plus"></i>',
+      condition: (tile) => uses(tile)?.max > 0 && uses(tile).value < uses(tile).max,
+      callback: (tile) => adjustUses(getTileItem(tile).item, 1)
+    },
+    {
+      name: "FANCYUI5E.use_restore_all",
+      icon: '<i class="fas fa-arrows-rotate"></i>',
+      condition: (tile) => uses(tile)?.max > 0 && uses(tile).value < uses(tile).max,
+      callback: (tile) => adjustUses(getTileItem(tile).item, Infinity)
+    },
+    {
+      name: "FANCYUI5E.quantity_remove",
+      icon: '<i class="fas fa-minus"></i>',
+      condition: (tile) => isConsumable(tile) && getTileItem(tile).item.system.quantity > 0,
+      callback: (tile) => adjustQuantity(getTileItem(tile).item, -1)
+    },
+    {
+      name: "FANCYUI5E.quantity_add",
+      icon: '<i class="fas fa-plus"></i>',
+      condition: isConsumable,
+      callback: (tile) => adjustQuantity(getTileItem(tile).item, 1)
+    },
+    {
+      name: "FANCYUI5E.ammunition_remove",
+      icon: '<i class="fas fa-minus"></i>',
+      condition: usesAmmo,
+      callback: (tile) => adjustAmmunition(getTileItem(tile).actor, getTileItem(tile).item, -1)
+    },
+    {
+      name: "FANCYUI5E.ammunition_add",
+      icon: '<i class="fas fa-plus"></i>',
+      condition: usesAmmo,
+      callback: (tile) => adjustAmmunition(getTileItem(tile).actor, getTileItem(tile).item, 1)
+    },
+    {
+      name: "FANCYUI5E.favorites_remove",
+      icon: '<i class="fas fa-star"></i>',
+      // Only characters have favorites; NPC and vehicle tiles come straight from their items.
+      condition: (tile) => !!getTileItem(tile)?.actor.isOwner && typeof getTileItem(tile).actor.system.addFavorite === "function",
+      callback: (tile) => removeFavorite(getTileItem(tile).actor, getTileItem(tile).item)
+    }
+  ];
+}
+
+/**
+ * Turns off an effect or condition when its icon is clicked.
+ *
+ * - Concentration is ended the dnd5e way, which also removes the effects of the spell.
+ * - Effects on the character itself (like conditions) are deleted.
+ * - Effects that come from an item (like a cursed ring) are only disabled,
+ *   so they are not lost from the item.
+ *
+ * Only the owner of the character (or the GM) can do this.
+ *
+ * Expected data on the clicked element:
+ * - data-effect-uuid: The effect's unique ID.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @example
+ * // Clicking the Prone icon on the HUD removes the Prone condition.
+ * toggleEffect(event);
+ */
+export async function toggleEffect(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const uuid = target.dataset.effectUuid;
+  if (!uuid) return ui.notifications.warn("Missing required data attributes.");
+
+  const effect = await fromUuid(uuid);
+  if (!effect) return ui.notifications.warn("Effect not found.");
+  const actor = effect.target ?? effect.parent;
+  if (!actor?.isOwner) return ui.notifications.warn("You do not have permission to change this effect.");
+
+  const concentrating = CONFIG.specialStatusEffects?.CONCENTRATING ?? "concentrating";
+  console.log("Turning off effect:", effect.name);
+  if (effect.statuses?.has(concentrating) && typeof actor.endConcentration === "function") {
+    await actor.endConcentration(effect);
+  } else if (effect.parent === actor) {
+    await effect.delete();
+  } else {
+    await effect.update({ disabled: true });
+  }
+}
+
 /**
  * Opens the character's sheet.
  *
  * When you click a button to view the full character sheet, this function opens it.
  *
  * Expected data on the clicked element:
- * - data-character: The actor's ID.
+ * - data-character: The actor's UUID (see getActorById in utils.js).
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // Clicking a button with data-character="123" opens the sheet for that character.
  * openSheet(event);
  */
-export async function openSheet(e) {
+export async function openSheet(e, target = e.currentTarget) {
   e.preventDefault();
   $(".character-actions").removeClass("show");
   $(".character-stats").removeClass("show");
 
-  const element = e.currentTarget.closest("[data-character]");
+  const element = target.closest("[data-character]");
   const characterId = element ? element.dataset.character : null;
   if (!characterId) return ui.notifications.warn("Character not found.");
   
-  const actor = game.actors.get(characterId);
+  const actor = getActorById(characterId);
   if (!actor) return ui.notifications.warn("Actor not found.");
   
   // Open the actor's character sheet (like a detailed page).
@@ -225,20 +683,22 @@ export async function openSheet(e) {
  * and makes it active (selected).
  *
  * Expected data on the clicked element:
- * - data-character: The actor's ID.
+ * - data-character: The actor's UUID (see getActorById in utils.js).
  *
  * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
  * @example
  * // Clicking a character's picture in the party panel will select their token.
  * selectToken(event);
  */
-export async function selectToken(e) {
+export async function selectToken(e, target = e.currentTarget) {
   e.preventDefault();
-  const element = e.currentTarget.closest("[data-character]");
+  const element = target.closest("[data-character]");
   const characterId = element ? element.dataset.character : null;
   if (!characterId) return ui.notifications.warn("Character not found.");
   
-  // Find the token on the canvas that belongs to this character.
-  const token = canvas.tokens.placeables.find(t => t.actor?.id === characterId);
+  // Find the token on the canvas that belongs to this character. An unlinked token's actor only has that one token.
+  const actor = getActorById(characterId);
+  const token = actor?.getActiveTokens()[0];
   if (token) token.control();
 }
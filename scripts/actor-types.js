@@ -0,0 +1,177 @@
+/**
+ * What the character HUD shows for each kind of actor.
+ *
+ * The HUD was made for player characters, but the GM can select any token: a monster (an "npc" actor),
+ * a ship or a cart (a "vehicle" actor), or a character that turned into something else with
+ * Wild Shape or Polymorph. Each kind of actor keeps different things, so each one gets its own
+ * extra data for the templates (a "view model"):
+ *   - NPCs: challenge rating, legendary actions, legendary resistances and lair actions.
+ *   - Vehicles: how many crew actions the vehicle gets each turn, and its crew.
+ *   - Transformed actors (any type): the original form, so the HUD can show both forms and a revert button.
+ *
+ * The action tiles of NPCs and vehicles come from their items instead of favorites (see getActionData in character.js).
+ */
+
+import { getActorById } from "./utils.js";
+
+/**
+ * Turns a challenge rating into the way it is written in the books, like "1/4" or "5".
+ *
+ * @param {number} cr - The challenge rating.
+ * @returns {string} The challenge rating as text.
+ *
+ * @example
+ * formatCr(0.125); // "1/8"
+ */
+function formatCr(cr) {
+  if (cr === null || cr === undefined) return "";
+  if (typeof dnd5e !== "undefined" && dnd5e.utils?.formatCR) return dnd5e.utils.formatCR(cr);
+  const fractions = { 0.125: "1/8", 0.25: "1/4", 0.5: "1/2" };
+  return fractions[cr] ?? String(cr);
+}
+
+/**
+ * Builds a counter like legendary actions (value left out of max), with one pip per use.
+ *
+ * @param {Object} resource - The resource, with value and max.
+ * @param {string} key - The resource's key in system.resources ("legact" or "legres").
+ * @param {string} label - The translation key of the counter's name.
+ * @returns {Object|null} The counter with key, label, value, max and pips, or null if the NPC does not have it.
+ */
+function resourceCounter(resource, key, label) {
+  const max = Number(resource?.max) || 0;
+  if (!max) return null;
+  const value = Math.clamp(Number(resource.value) || 0, 0, max);
+  return {
+    key,
+    label: game.i18n.localize(label),
+    value,
+    max,
+    pips: Array.from({ length: max }, (_, index) => ({ index, filled: index < value }))
+  };
+}
+
+/**
+ * Builds the extra data for an NPC.
+ *
+ * @param {Actor5e} actor - The NPC.
+ * @returns {Object} An object with:
+ *   - cr: The challenge rating as text (like "1/4").
+ *   - creatureType: The creature type (like "Dragon").
+ *   - counters: The legendary actions and legendary resistances left (only the ones the NPC has).
+ *   - lair: Whether the NPC has lair actions (has), and on which initiative count they happen (initiative).
+ *   - hasResources: True if there is anything of the above to show.
+ *
+ * @example
+ * getNpcData(dragon).counters[0]; // Might print { key: "legact", label: "Legendary actions", value: 2, max: 3, pips: [...] }
+ */
+export function getNpcData(actor) {
+  const system = actor.system;
+  const resources = system.resources ?? {};
+  const counters = [
+    resourceCounter(resources.legact, "legact", "FANCYUI5E.legendary_actions"),
+    resourceCounter(resources.legres, "legres", "FANCYUI5E.legendary_resistances")
+  ].filter(Boolean);
+  const lair = {
+    has: !!resources.lair?.value,
+    initiative: resources.lair?.initiative ?? 20
+  };
+  return {
+    cr: formatCr(system.details?.cr),
+    creatureType: system.details?.type?.label ?? CONFIG.DND5E.creatureTypes?.[system.details?.type?.value]?.label ?? "",
+    counters,
+    lair,
+    hasResources: counters.length > 0 || lair.has
+  };
+}
+
+/**
+ * Builds the extra data for a vehicle.
+ *
+ * @param {Actor5e} actor - The vehicle.
+ * @returns {Object} An object with:
+ *   - actions: How many crew actions the vehicle gets each turn (0 if it does not use crew actions).
+ *   - crew: How many crew members are on board.
+ *   - passengers: How many passengers are on board.
+ *   - vehicleType: The translation key of the kind of vehicle (like "Water Vehicle"); the template localizes it.
+ */
+export function getVehicleData(actor) {
+  const system = actor.system;
+  const count = (list) => (list ?? []).reduce((total, entry) => total + (Number(entry.quantity) || 0), 0);
+  return {
+    actions: system.attributes?.actions?.value ?? 0,
+    crew: count(system.cargo?.crew),
+    passengers: count(system.cargo?.passengers),
+    vehicleType: CONFIG.DND5E.vehicleTypes?.[system.vehicleType] ?? ""
+  };
+}
+
+/**
+ * Finds the original form of a transformed actor (after Wild Shape or Polymorph).
+ *
+ * @param {Actor5e} actor - The actor shown in the HUD.
+ * @returns {Object|null} null if the actor is not transformed. Otherwise an object with:
+ *   - name, picture: The original form's name and image.
+ *   - hp: The original form's HP (value and max), which comes back when the transformation ends.
+ *   - canRevert: True if the user can end the transformation.
+ *
+ * @example
+ * getTransformData(wildShapedDruid); // Might return { name: "Elara", picture: "...", hp: { value: 24, max: 30 }, canRevert: true }
+ */
+export function getTransformData(actor) {
+  if (!actor.isPolymorphed) return null;
+  const original = game.actors.get(actor.getFlag("dnd5e", "originalActor"));
+  const hp = original?.system.attributes?.hp;
+  return {
+    name: original?.name ?? "",
+    picture: original?.img ?? "",
+    hp: hp ? { value: hp.value, max: hp.max } : null,
+    canRevert: actor.isOwner
+  };
+}
+
+/**
+ * Spends or restores an NPC's legendary actions or legendary resistances, by clicking a pip.
+ * Clicking a filled pip spends down to it; clicking an empty pip restores up to it (like spell slots).
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-resource: "legact" or "legres".
+ * - data-index: Which pip was clicked (starting at 0).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function toggleNpcResource(e, target = e.currentTarget) {
+  e.preventDefault();
+  const actor = getActorById(target.closest("[data-character-id]")?.dataset.characterId);
+  const key = target.closest("[data-resource]")?.dataset.resource;
+  const index = Number(target.dataset.index);
+  if (!actor || !["legact", "legres"].includes(key) || Number.isNaN(index)) {
+    return ui.notifications.warn("Missing required data attributes.");
+  }
+  if (!actor.isOwner) return ui.notifications.warn("You do not have permission to change this actor.");
+  const current = actor.system.resources?.[key]?.value ?? 0;
+  const value = index < current ? index : index + 1;
+  console.log("Setting", key, "of", actor.name, "from", current, "to", value);
+  await actor.update({ [`system.resources.${key}.value`]: value });
+}
+
+/**
+ * Ends a Wild Shape or Polymorph, turning the actor back into its original form.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function revertTransformation(e, target = e.currentTarget) {
+  e.preventDefault();
+  const actor = getActorById(target.closest("[data-character-id]")?.dataset.characterId);
+  if (!actor?.isPolymorphed) return;
+  console.log("Reverting transformation of:", actor.name);
+  await actor.revertOriginalForm({ renderSheet: false });
+}
@@ -0,0 +1,114 @@
+/**
+ * The public API of the module, for other modules and macros.
+ *
+ * It can be found at game.modules.get("fancy-hud-5e").api once the "init" hook has run.
+ * Think of it like a remote control for the HUDs: it can draw them again, show another actor,
+ * open or close the panels, and add extra tiles to the Actions panel.
+ *
+ * The module also calls these hooks, so other modules can change what is shown:
+ *   - "fancyHud.preRenderCharacter" (hud, data, actor): Before the character HUD is drawn.
+ *     Changing "data" changes what the templates show.
+ *   - "fancyHud.renderCharacter" (hud, element, data): After the character HUD is drawn.
+ *   - "fancyHud.preRenderParty" (hud, data, options): Before the party HUD is drawn.
+ *     "data.characters" has one entry per member being drawn.
+ *   - "fancyHud.renderParty" (hud, element, data, options): After the party HUD is drawn.
+ *   - "fancyHud.ready" (api): Once the game is ready and the HUDs exist.
+ *
+ * @example
+ * const hud = game.modules.get("fancy-hud-5e").api;
+ * hud.openPanel("stats");
+ * Hooks.on("fancyHud.preRenderCharacter", (hud, data, actor) => {
+ *   data.name = `${data.name} the Brave`;
+ * });
+ */
+
+import { scheduleAll } from "./render.js";
+import { registerActionProvider, unregisterActionProvider } from "./providers.js";
+import { FancyCharacterHud } from "./character-hud.js";
+import { FancyPartyHud } from "./party-hud.js";
+
+/**
+ * Draws both HUDs again right away.
+ *
+ * @returns {Promise<void>}
+ */
+async function render() {
+  await ui.fancyHudCharacter?.refresh();
+  await ui.fancyHudParty?.refresh();
+}
+
+/**
+ * Asks for both HUDs to be drawn again on the next frame. Several calls in a row only draw them once.
+ */
+function refresh() {
+  scheduleAll();
+}
+
+/**
+ * Shows a given actor in the character HUD, instead of the selected token or the user's character.
+ *
+ * @param {Actor5e|string|null} [actor=null] - The actor, its ID or its UUID. Null goes back to the usual character.
+ * @returns {Promise<FancyCharacterHud|undefined>} The character HUD.
+ */
+function showActor(actor = null) {
+  return ui.fancyHudCharacter?.showActor(actor);
+}
+
+/**
+ * Opens a panel of the character HUD.
+ *
+ * @param {string} name - "stats", "equipment" or "actions".
+ * @returns {boolean} True if the panel is open afterwards (false if the HUD is not shown).
+ */
+function openPanel(name) {
+  return ui.fancyHudCharacter?.togglePanel(name, true) ?? false;
+}
+
+/**
+ * Closes a panel of the character HUD.
+ *
+ * @param {string} name - "stats", "equipment" or "actions".
+ * @returns {boolean} True if the panel is still open afterwards (always false).
+ */
+function closePanel(name) {
+  return ui.fancyHudCharacter?.togglePanel(name, false) ?? false;
+}
+
+/**
+ * Opens a panel of the character HUD if it is closed, or closes it if it is open.
+ *
+ * @param {string} name - "stats", "equipment" or "actions".
+ * @returns {boolean} True if the panel is open afterwards.
+ */
+function togglePanel(name) {
+  return ui.fancyHudCharacter?.togglePanel(name) ?? false;
+}
+
+/**
+ * The API object put on the module.
+ *
+ * The HUD classes are included so other modules can extend them
+ * (set CONFIG.ui.fancyHudCharacter to the subclass during "init").
+ *
+ * @type {Object}
+ */
+export const api = {
+  FancyCharacterHud,
+  FancyPartyHud,
+  render,
+  refresh,
+  showActor,
+  openPanel,
+  closePanel,
+  togglePanel,
+  registerActionProvider,
+  unregisterActionProvider
+};
+
+/**
+ * Puts the API on the module, so it can be found at game.modules.get("fancy-hud-5e").api.
+ */
+export function registerApi() {
+  console.log("Registering the Fancy HUD API");
+  game.modules.get("fancy-hud-5e").api = api;
+}
@@ -0,0 +1,408 @@
+/**
+ * The character HUD.
+ *
+ * This is the big display at the bottom of the screen for the player's own character
+ * (or, for the GM, the character of the selected token). It is made of five parts:
+ *   - stats: The "Stats" panel with spellcasting, abilities, saves and skills.
+ *   - equipment: The "Equipment" panel with armor, weapons, attunement and carried weight.
+ *   - info: Speed, initiative, armor, the picture, health, effects and the panel buttons.
+ *   - rest: The short rest / long rest panel.
+ *   - actions: The "Actions" panel with the favorite actions.
+ *
+ * Clicks are handled by Foundry: every clickable element in the templates has a data-action
+ * attribute, and the actions below say which function runs for each one.
+ *
+ * @example
+ * // Draw the HUD again from the latest data:
+ * ui.fancyHudCharacter.refresh();
+ */
+
+import { FancyHudApplication } from "./hud-application.js";
+import { getCharacter, characterData, getTokenTabs, focusToken, cycleToken } from "./character.js";
+import * as actions from "./actions.js";
+import * as rest from "./rest.js";
+import * as rolls from "./rolls.js";
+import * as combat from "./combat.js";
+import { toggleEconomySlot } from "./economy.js";
+import { addFavorite, moveFavorite } from "./favorites.js";
+import * as equipment from "./equipment.js";
+import * as actorTypes from "./actor-types.js";
+import { rollTool, cycleSkillSort } from "./skills.js";
+import { setupHealthPointsTracker, setupTempHealthTracker } from "./health.js";
+import { scheduleCharacter } from "./render.js";
+
+export class FancyCharacterHud extends FancyHudApplication {
+  /**
+   * The options for the character HUD.
+   *
+   * The "actions" map a data-action attribute in the templates to the function that runs when it is clicked.
+   * Each function gets the click event and the clicked element.
+   *
+   * @type {Object}
+   */
+  static DEFAULT_OPTIONS = {
+    id: "player-character",
+    actions: {
+      openSheet: actions.openSheet,
+      rollAbility: actions.rollAbility,
+      rollSave: actions.rollSave,
+      rollSkill: actions.rollSkill,
+      rollTool,
+      cycleSkillSort,
+      rollDeathSave: actions.rollDeathSave,
+      rollAction: actions.rollAction,
+      openActivityMenu: actions.openActivityMenu,
+      useActivity: actions.useActivity,
+      toggleDefaultActivity: actions.toggleDefaultActivity,
+      toggleSpellSlot: actions.toggleSpellSlot,
+      toggleEffect: actions.toggleEffect,
+      cycleStickyRoll: rolls.cycleStickyMode,
+      rollInitiative: combat.rollInitiative,
+      endTurn: combat.endTurn,
+      toggleEconomySlot,
+      toggleEquipped: equipment.toggleEquipped,
+      toggleAttuned: equipment.toggleAttuned,
+      toggleNpcResource: actorTypes.toggleNpcResource,
+      revertTransformation: actorTypes.revertTransformation,
+      focusToken: FancyCharacterHud.#onFocusToken,
+      cycleToken: FancyCharacterHud.#onCycleToken,
+      toggleActions: FancyCharacterHud.#onToggleActions,
+      toggleStats: FancyCharacterHud.#onToggleStats,
+      toggleRest: rest.toggleRestPanel,
+      closeRest: rest.closeRestPanel,
+      spendHitDie: rest.spendHitDie,
+      finishShortRest: FancyCharacterHud.#onFinishShortRest,
+      longRest: FancyCharacterHud.#onLongRest
+    }
+  };
+
+  /**
+   * The parts of the character HUD, in the order they appear on the page.
+   *
+   * @type {Object<string, {template: string}>}
+   */
+  static PARTS = {
+    stats: { template: "modules/fancy-hud-5e/templates/character-stats.hbs" },
+    equipment: { template: "modules/fancy-hud-5e/templates/character-equipment.hbs" },
+    info: { template: "modules/fancy-hud-5e/templates/character-info.hbs" },
+    rest: { template: "modules/fancy-hud-5e/templates/character-rest.hbs" },
+    actions: { template: "modules/fancy-hud-5e/templates/character-actions.hbs" }
+  };
+
+  /**
+   * The names of the panels that can be opened, and the class of each one in the templates.
+   *
+   * @type {Object<string, string>}
+   */
+  static PANELS = {
+    stats: "character-stats",
+    equipment: "character-equipment",
+    actions: "character-actions"
+  };
+
+  /**
+   * An actor chosen with showActor, shown instead of the usual character.
+   *
+   * @type {Actor5e|null}
+   */
+  #shownActor = null;
+
+  /**
+   * The character shown in the HUD right now.
+   *
+   * This is the actor chosen with showActor if there is one. Otherwise it is the selected
+   * token's actor or the user's own character (see getCharacter in character.js).
+   *
+   * @type {Actor5e|null}
+   */
+  get actor() {
+    // An actor that was deleted can not be shown anymore.
+    if (this.#shownActor && !fromUuidSync(this.#shownActor.uuid)) this.#shownActor = null;
+    return this.#shownActor ?? getCharacter() ?? null;
+  }
+
+  /**
+   * Shows a given actor in the HUD, instead of the selected token or the user's character.
+   *
+   * @param {Actor5e|string|null} [actor=null] - The actor, its ID or its UUID. Null goes back to the usual character.
+   * @returns {Promise<FancyCharacterHud>} The HUD.
+   *
+   * @example
+   * ui.fancyHudCharacter.showActor(game.actors.getName("Bruenor"));
+   * ui.fancyHudCharacter.showActor(); // Back to normal.
+   */
+  async showActor(actor = null) {
+    if (typeof actor === "string") actor = game.actors.get(actor) ?? fromUuidSync(actor);
+    if (actor && !(actor instanceof Actor)) throw new Error("showActor needs an actor, an actor ID or an actor UUID.");
+    console.log("Showing actor in the HUD:", actor?.name ?? "(default)");
+    this.#shownActor = actor;
+    return this.refresh();
+  }
+
+  /**
+   * Opens or closes a panel ("stats", "equipment" or "actions"). Only one of them is open at a time,
+   * and the rest panel closes when any of them is toggled.
+   *
+   * @param {string} name - The panel: "stats", "equipment" or "actions".
+   * @param {boolean} [force] - True to open it, false to close it. Without it, the panel is toggled.
+   * @returns {boolean} True if the panel is open afterwards.
+   *
+   * @example
+   * ui.fancyHudCharacter.togglePanel("stats", true); // Opens the stats panel.
+   */
+  togglePanel(name, force) {
+    const panel = this.constructor.PANELS[name];
+    if (!panel) throw new Error(`Unknown HUD panel "${name}". Use one of: ${Object.keys(this.constructor.PANELS).join(", ")}.`);
+    if (!this.rendered) return false;
+    const html = $(this.element);
+    const show = force ?? !html.find(`.${panel}`).hasClass("show");
+    console.log(`Toggling ${name} panel:`, show);
+    if (show) {
+      for (const other of Object.values(this.constructor.PANELS)) html.find(`.${other}`).removeClass("show");
+      // Only one panel is open at a time, so opening another one closes the rest panel too (see rest.js).
+      // Closing a panel leaves the rest panel alone, so a rest in progress is not lost.
+      rest.closeRestPanel();
+    }
+    html.find(`.${panel}`).toggleClass("show", show);
+    return show;
+  }
+
+  /**
+   * Draws the HUD again, or closes it if there is no character to show
+   * (for example, when the GM has no token selected).
+   *
+   * @returns {Promise<FancyCharacterHud>} The HUD.
+   */
+  async refresh() {
+    console.log("Rendering character");
+    if (!this.actor) {
+      if (this.rendered) await this.close({ animate: false });
+      return this;
+    }
+    return super.refresh();
+  }
+
+  /**
+   * The HUD is only drawn when there is a character to show.
+   *
+   * @param {Object} options - The render options.
+   * @returns {false|void} False to skip drawing.
+   * @protected
+   */
+  _canRender(options) {
+    if (!this.actor) return false;
+    return super._canRender(options);
+  }
+
+  /**
+   * Builds the data the templates use: everything about the character (see characterData in character.js).
+   *
+   * The "fancyHud.preRenderCharacter" hook is called with the HUD, the data and the actor,
+   * so other modules can add or change things before the templates are drawn.
+   *
+   * @param {Object} options - The render options.
+   * @returns {Promise<Object>} The template data.
+   * @protected
+   */
+  async _prepareContext(options) {
+    const actor = this.actor;
+    const data = characterData(actor);
+    // The tabs to switch between several selected tokens (none when showActor chose the actor).
+    data.tokenTabs = this.#shownActor ? [] : getTokenTabs();
+    // Other modules can change the data here, before it reaches the templates.
+    Hooks.callAll("fancyHud.preRenderCharacter", this, data, actor);
+    console.log("renderCharacter data:", data);
+    return data;
+  }
+
+  /**
+   * Tells other modules that the HUD was drawn, with the "fancyHud.renderCharacter" hook.
+   *
+   * @param {Object} context - The template data.
+   * @param {Object} options - The render options.
+   * @protected
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    Hooks.callAll("fancyHud.renderCharacter", this, this.element, context);
+  }
+
+  /**
+   * Sets up the things Foundry's data-action clicks do not cover, the first time the HUD is drawn:
+   * the HP boxes, the right-click menu on action tiles and the right-click on the picture.
+   *
+   * They are attached to the HUD element itself, so they keep working when parts are drawn again.
+   *
+   * @param {Object} context - The template data.
+   * @param {Object} options - The render options.
+   * @protected
+   */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    console.log("Activating player listeners");
+    const html = $(this.element);
+    setupHealthPointsTracker(html, "#current-health");
+    setupTempHealthTracker(html, ".temp-health");
+    // Right-clicking the picture opens the Equipment panel (see equipment.js).
+    html.on("contextmenu", ".character-picture", (e) => {
+      e.preventDefault(); // Prevent default browser context menu
+      this.togglePanel("equipment");
+    });
+
+    // Items can be dropped on the Actions panel to favorite them, and tiles dragged to reorder them (see favorites.js).
+    html.on("dragstart", ".action[draggable]", this.#onActionDragStart.bind(this));
+    html.on("dragover", ".character-actions", this.#onActionDragOver.bind(this));
+    html.on("dragleave", ".action", (e) => e.currentTarget.classList.remove("drop-before", "drop-after"));
+    html.on("drop", ".character-actions", this.#onActionDrop.bind(this));
+
+    // Foundry v13 moved ContextMenu under foundry.applications.ux; v12 still has the global class.
+    const ContextMenuClass = foundry.applications.ux?.ContextMenu ?? ContextMenu;
+    new ContextMenuClass(this.element, ".action", actions.actionMenuItems(), {
+      fixed: true,
+      jQuery: false
+    });
+  }
+
+  /**
+   * Shows one of the selected tokens in the HUD, from its tab.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked tab, with a data-token-id attribute.
+   */
+  static #onFocusToken(event, target) {
+    event.stopPropagation();
+    if (focusToken(target.dataset.tokenId)) this.refresh();
+  }
+
+  /**
+   * Shows the next or previous selected token in the HUD, from the arrows around the tabs.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked arrow, with data-step="1" or data-step="-1".
+   */
+  static #onCycleToken(event, target) {
+    event.stopPropagation();
+    if (cycleToken(Number(target.dataset.step) || 1)) this.refresh();
+  }
+
+  /**
+   * Toggles (shows or hides) the actions panel.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   */
+  static #onToggleActions(event) {
+    event.stopPropagation();
+    this.togglePanel("actions");
+  }
+
+  /**
+   * Toggles (shows or hides) the stats panel.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   */
+  static #onToggleStats(event) {
+    event.stopPropagation();
+    this.togglePanel("stats");
+  }
+
+  /**
+   * Finishes a short rest, then draws the HUD again to show the rest summary.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked button.
+   */
+  static async #onFinishShortRest(event, target) {
+    await rest.finishShortRest(event, target);
+    scheduleCharacter();
+  }
+
+  /**
+   * Takes a long rest, then draws the HUD again to show the rest summary.
+   *
+   * @this {FancyCharacterHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked button.
+   */
+  static async #onLongRest(event, target) {
+    await rest.longRest(event, target);
+    scheduleCharacter();
+  }
+
+  /**
+   * Starts dragging an action tile. The item's ID goes along with the drag.
+   * Foundry's own Item data goes along too, so the tile can also be dropped on a sheet or the hotbar.
+   *
+   * @param {Event} e - The dragstart event.
+   */
+  #onActionDragStart(e) {
+    const item = this.actor?.items.get(e.currentTarget.dataset.itemId);
+    if (!item) return;
+    const data = { ...item.toDragData(), fancyHudFavorite: item.id };
+    e.originalEvent.dataTransfer.setData("text/plain", JSON.stringify(data));
+    e.originalEvent.dataTransfer.effectAllowed = "copyMove";
+  }
+
+  /**
+   * Allows dropping on the Actions panel, and shows where a dragged tile would land:
+   * above or below the tile under the mouse.
+   *
+   * @param {Event} e - The dragover event.
+   */
+  #onActionDragOver(e) {
+    e.preventDefault(); // Allows dropping here.
+    const tile = e.target.closest(".action[data-item-id]:not([data-provider])");
+    if (!tile) return;
+    const after = this.#isLowerHalf(e, tile);
+    tile.classList.toggle("drop-before", !after);
+    tile.classList.toggle("drop-after", after);
+  }
+
+  /**
+   * Drops something on the Actions panel:
+   *   - A tile from this panel moves above or below the tile it was dropped on.
+   *   - Any other item (from the sidebar, a sheet or a compendium) is added to the favorites.
+   *
+   * @param {Event} e - The drop event.
+   * @returns {Promise<void>}
+   */
+  async #onActionDrop(e) {
+    e.preventDefault();
+    this.element.querySelectorAll(".drop-before, .drop-after").forEach(el => el.classList.remove("drop-before", "drop-after"));
+    const actor = this.actor;
+    if (!actor) return;
+    let data;
+    try {
+      data = JSON.parse(e.originalEvent.dataTransfer.getData("text/plain"));
+    } catch (err) {
+      return; // Something else was dropped here (not an item).
+    }
+    const tile = e.target.closest(".action[data-item-id]:not([data-provider])");
+    if (data?.fancyHudFavorite && actor.items.has(data.fancyHudFavorite)) {
+      if (!tile) return;
+      console.log("Moving favorite tile:", data.fancyHudFavorite, "to", tile.dataset.itemId);
+      return moveFavorite(actor, data.fancyHudFavorite, tile.dataset.itemId, this.#isLowerHalf(e, tile));
+    }
+    if (data?.type !== "Item") return;
+    const item = await Item.implementation.fromDropData(data);
+    const added = await addFavorite(actor, item);
+    // An item dropped on a tile goes right there, instead of at the end of the list.
+    if (added && tile) await moveFavorite(actor, added.id, tile.dataset.itemId, this.#isLowerHalf(e, tile));
+  }
+
+  /**
+   * Checks if the mouse is over the lower half of a tile.
+   *
+   * @param {Event} e - A drag event.
+   * @param {HTMLElement} tile - The tile under the mouse.
+   * @returns {boolean} True for the lower half.
+   */
+  #isLowerHalf(e, tile) {
+    const rect = tile.getBoundingClientRect();
+    return e.originalEvent.clientY > rect.top + rect.height / 2;
+  }
+}
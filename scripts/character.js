@@ -1,5 +1,85 @@
 // character.js
 
+import { getRestData } from "./rest.js";
+import { getHealthStatus } from "./health.js";
+import { isGm } from "./utils.js";
+import { getStickyMode } from "./rolls.js";
+import { getProvidedActions } from "./providers.js";
+import { getCombatData } from "./combat.js";
+import { getEconomyData } from "./economy.js";
+import { isFavoriteType } from "./favorites.js";
+import { getEquipmentData } from "./equipment.js";
+import { getNpcData, getVehicleData, getTransformData } from "./actor-types.js";
+import { getSkillsData, getToolsData, getSkillSortData } from "./skills.js";
+
+/**
+ * The ID of the token the HUD shows when several tokens are selected (see focusToken).
+ * Null, or a token that is not selected anymore, means the first selected token.
+ *
+ * @type {string|null}
+ */
+let focusedTokenId = null;
+
+/**
+ * Lists the selected tokens that have an actor.
+ *
+ * @returns {Token[]} The tokens, in the order they were selected.
+ */
+export function getControlledTokens() {
+  return (canvas.tokens?.controlled || []).filter(token => token.actor);
+}
+
+/**
+ * Chooses which of the selected tokens the HUD shows.
+ *
+ * @param {string|null} tokenId - The token's ID, or null for the first selected token.
+ * @returns {boolean} True if the token is selected (and will be shown).
+ *
+ * @example
+ * focusToken(canvas.tokens.controlled[1].id); // Show the second selected token.
+ */
+export function focusToken(tokenId) {
+  const found = getControlledTokens().some(token => token.id === tokenId);
+  focusedTokenId = found ? tokenId : null;
+  console.log("Focused token:", focusedTokenId ?? "(first)");
+  return found;
+}
+
+/**
+ * Moves to the next (or previous) selected token, going around at the ends.
+ *
+ * @param {number} [step=1] - 1 for the next token, -1 for the previous one.
+ * @returns {boolean} True if there was more than one token to move between.
+ *
+ * @example
+ * cycleToken(-1); // Show the previous selected token.
+ */
+export function cycleToken(step = 1) {
+  const tokens = getControlledTokens();
+  if (tokens.length < 2) return false;
+  const current = Math.max(tokens.findIndex(token => token.id === focusedTokenId), 0);
+  const next = (current + step + tokens.length) % tokens.length;
+  return focusToken(tokens[next].id);
+}
+
+/**
+ * Builds the tabs shown above the HUD when several tokens are selected.
+ *
+ * @returns {Object[]} One tab per selected token, with id, name, img and active (true for the token shown).
+ *   Empty when one token (or none) is selected.
+ */
+export function getTokenTabs() {
+  const tokens = getControlledTokens();
+  if (tokens.length < 2) return [];
+  const shown = tokens.find(token => token.id === focusedTokenId) ?? tokens[0];
+  return tokens.map(token => ({
+    id: token.id,
+    name: token.name,
+    img: token.document.texture?.src || token.actor.img,
+    active: token === shown
+  }));
+}
+
 /**
  * Gets the character (actor) that is currently controlled.
  *
@@ -7,6 +87,10 @@
  * This function checks which token (a little picture on the board) is selected and then gets
  * the actor (character) that token represents.
  *
+ * It is the token's own actor: for a token that is not linked to an actor in the sidebar
+ * (like one of five goblins), that is the token's own copy, so changes only affect that token.
+ * When several tokens are selected, it is the one chosen with focusToken (the first one by default).
+ *
  * If no token is selected, it tries to use the character assigned to your user.
  *
  * @returns {Actor5e|undefined} The actor (character) that is currently controlled, or undefined if none.
@@ -19,18 +103,12 @@
 export function getCharacter() {
   console.log("Fetching character");
   // Get a list of tokens (the little pictures on the board) that are selected.
-  const controlled = canvas.tokens?.controlled || [];
+  const controlled = getControlledTokens();
   console.log("Controlled tokens:", controlled);
   if (controlled.length > 0) {
-    let actor = controlled[0].actor;
-    // If the actor is not directly available, use the document to find it.
-    if (!actor && controlled[0].document) {
-      actor = game.actors.get(controlled[0].document.actorId);
-    }
-    if (actor) {
-      console.log("Found actor:", actor.name);
-      return actor;
-    }
+    const token = controlled.find(t => t.id === focusedTokenId) ?? controlled[0];
+    console.log("Found actor:", token.actor.name);
+    return token.actor;
   }
   // If no token is selected, try to use the character that your user has assigned.
   const userCharacter = game.user.character;
@@ -38,41 +116,16 @@ export function getCharacter() {
   return userCharacter || undefined;
 }
 
-/**
- * Gets a list of characters that are in the party.
- *
- * "Party" means all the characters (actors) in the game.
- * If the setting "party-only-active" is enabled, only the characters with tokens (active on the board)
- * are returned.
- *
- * @returns {Actor5e[]} An array of actors that are in the party.
- *
- * @example
- * const party = getPartyCharacters();
- * console.log("There are " + party.length + " characters in the party.");
- */
-export function getPartyCharacters() {
-  console.log("Fetching party characters");
-  // Read the setting from the module to check if we only want active characters.
-  const partyOnlyActive = game.settings.get("fancy-hud-5e", "party-only-active");
-  // Get all actors that are characters.
-  const actors = Array.from(game.actors.contents).filter(actor => actor.type === "character");
-  console.log("Found characters:", actors.length);
-  if (partyOnlyActive) {
-    // Only include those that have tokens on the canvas.
-    const activeActors = actors.filter(actor => canvas.tokens.placeables.some(t => t.actor?.id === actor.id));
-    console.log("Active party characters:", activeActors.length);
-    return activeActors;
-  }
-  return actors;
-}
-
 /**
  * Creates a plain object with information about a character.
  *
  * This function collects all the important details about a character (actor) that
  * our module needs to display. It gets the character's name, level, race, class,
- * image, speed, initiative, armor, hit points (hp), abilities, skills, and favorite actions.
+ * image, speed, initiative, armor, hit points (hp), death saves, active effects, abilities, skills, spellcasting, favorite actions, rest info, equipment,
+ * the sticky advantage state for the next roll, and combat info (round, initiative, turn and the action economy).
+ *
+ * Monsters (NPCs) and vehicles are not laid out like characters, so they get their own extra data
+ * (see actor-types.js), and their actions come from their items instead of favorites.
  *
  * @param {Actor5e} actor - The actor (character) to create data for.
  * @returns {Object} An object with the actor’s data.
@@ -89,7 +142,13 @@ export function characterData(actor) {
   const data = actor.system;
   return {
     id: actor.id,
-    isCharacter: true,
+    // The UUID is what the templates put in data-character-id, so clicks find the token's own actor (see getActorById in utils.js).
+    uuid: actor.uuid,
+    // The kind of actor: "character", "npc" or "vehicle". Only characters have a level, classes and favorites.
+    type: actor.type,
+    isCharacter: actor.type === "character",
+    isNpc: actor.type === "npc",
+    isVehicle: actor.type === "vehicle",
     name: actor.name,
     level: data.details?.level || 1,
     race: data.details?.race || "",
@@ -104,16 +163,302 @@ export function characterData(actor) {
     hp: {
       value: data.attributes?.hp?.value,
       max: data.attributes?.hp?.max,
-      percent: Math.floor((data.attributes?.hp?.value / data.attributes?.hp?.max) * 100),
-      // If more than half the hp is left, we say "healthy"; otherwise "injured".
-      status: (data.attributes?.hp?.value / data.attributes?.hp?.max) > 0.5 ? "healthy" : "injured"
+      // Temporary HP (used up before real HP) and the temporary change to max HP (can be negative).
+      temp: data.attributes?.hp?.temp || 0,
+      tempmax: data.attributes?.hp?.tempmax || 0,
+      // The bar width and health tier ("healthy", "hurt", "injured", "critical" or "down").
+      ...getHealthData(actor)
     },
+    death: getDeathData(actor),
+    effects: getEffects(actor),
     abilities: data.abilities,
-    skills: data.skills,
-    actions: getActions(actor)
+    // The skills as a sorted list, with proficiency icons and passive scores, and the tools (see skills.js).
+    skills: getSkillsData(actor),
+    skillSort: getSkillSortData(),
+    tools: getToolsData(actor),
+    spellcasting: getSpellcasting(actor),
+    ...getActionData(actor),
+    rest: getRestData(actor),
+    stickyRoll: getStickyMode(),
+    // The round, initiative and whether it is the character's turn, during combat.
+    combat: getCombatData(actor),
+    // Which of the action, bonus action, reaction and movement are spent this turn (null outside combat).
+    economy: getEconomyData(actor),
+    // Armor, weapons, attunement and carried weight, for the Equipment panel.
+    equipment: getEquipmentData(actor),
+    // The extra data for the kind of actor (see actor-types.js): CR and legendary actions for NPCs,
+    // crew actions for vehicles. Null for the other kinds.
+    npc: actor.type === "npc" ? getNpcData(actor) : null,
+    vehicle: actor.type === "vehicle" ? getVehicleData(actor) : null,
+    // The original form of a character under Wild Shape or Polymorph, or null.
+    transform: getTransformData(actor)
+  };
+}
+
+/**
+ * Works out how the HP bar of a character should look.
+ *
+ * If the "hide-party-hp" setting is on, players only see the health tier of characters they
+ * do not own (like "Hurt"), not the exact numbers. The bar is then drawn full width, so its
+ * length does not give the numbers away either.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {{percent: number, status: string, statusLabel: string, hidden: boolean}} The bar width,
+ *   the health tier, its translated name, and whether the exact numbers are hidden.
+ */
+function getHealthData(actor) {
+  const hp = actor.system.attributes?.hp ?? {};
+  const { percent, status } = getHealthStatus(hp.value, hp.max);
+  const hidden = game.settings.get("fancy-hud-5e", "hide-party-hp") && !isGm() && !actor.isOwner;
+  return {
+    percent: hidden ? 100 : percent,
+    status,
+    statusLabel: game.i18n.localize(`FANCYUI5E.health_${status}`),
+    hidden
+  };
+}
+
+/**
+ * Works out whether a character is dying, stable or dead.
+ *
+ * When a character drops to 0 HP they fall unconscious and start making death saving throws.
+ * Three successes make them stable, three failures mean they die.
+ * The results are stored in "system.attributes.death" as "success" and "failure" counts.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object} An object with:
+ *   - down: True if the character is at 0 HP (dying, stable or dead).
+ *   - dying: True if the character still needs to roll death saves.
+ *   - stable: True if the character has three successes.
+ *   - dead: True if the character has three failures or the "dead" status.
+ *   - successes / failures: Three pips each, filled for every success or failure so far.
+ *
+ * @example
+ * const death = getDeathData(actor);
+ * if (death.dying) console.log("Roll a death save!");
+ */
+function getDeathData(actor) {
+  const hp = actor.system.attributes?.hp?.value ?? 0;
+  const death = actor.system.attributes?.death ?? {};
+  const success = Math.clamp(death.success ?? 0, 0, 3);
+  const failure = Math.clamp(death.failure ?? 0, 0, 3);
+  const dead = failure >= 3 || !!actor.statuses?.has("dead");
+  // Only characters roll death saves; monsters simply die at 0 HP.
+  const down = actor.type === "character" && hp <= 0;
+  const stable = down && !dead && success >= 3;
+  const pips = (count) => [0, 1, 2].map(index => ({ filled: index < count }));
+  return {
+    down,
+    dying: down && !dead && !stable,
+    stable,
+    dead: down && dead,
+    successes: pips(success),
+    failures: pips(failure)
+  };
+}
+
+/**
+ * Collects the active effects and conditions shown as icons on the HUD.
+ *
+ * Conditions (like Poisoned or Prone), spell effects (like Bless) and concentration are all
+ * "active effects" in Foundry. We show the temporary ones: the ones that wear off or can be
+ * removed, not the permanent bonuses that come from items like a Ring of Protection.
+ *
+ * Concentration is special: it is highlighted, and it links to the spell being concentrated on.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object[]} A list of effects, each with:
+ *   - uuid: The effect's unique ID (used to turn it off).
+ *   - name: The effect's name (like "Poisoned").
+ *   - img: The effect's icon.
+ *   - tooltip: Text shown on hover with the name, duration and source.
+ *   - isConcentration: True for the concentration effect.
+ *   - concentrationItem: The spell being concentrated on ({uuid, name}), or null.
+ *   - canToggle: True if the current user may turn the effect off.
+ *
+ * @example
+ * const effects = getEffects(actor);
+ * console.log(effects.map(e => e.name)); // Might print ["Concentrating", "Poisoned"]
+ */
+function getEffects(actor) {
+  const concentrating = CONFIG.specialStatusEffects?.CONCENTRATING ?? "concentrating";
+  const escape = Handlebars.escapeExpression;
+  return (actor.temporaryEffects ?? []).map(effect => {
+    const isConcentration = effect.statuses?.has(concentrating) ?? false;
+    let concentrationItem = null;
+    if (isConcentration) {
+      // dnd5e remembers which spell started concentration in the effect's flags.
+      const uuid = effect.getFlag("dnd5e", "item")?.uuid ?? effect.origin;
+      const item = uuid ? fromUuidSync(uuid, { strict: false }) : null;
+      if (item) concentrationItem = { uuid: item.uuid, name: item.name };
+    }
+    const lines = [`<strong>${escape(effect.name)}</strong>`];
+    if (effect.duration?.label) lines.push(escape(effect.duration.label));
+    if (concentrationItem) lines.push(escape(concentrationItem.name));
+    else if (effect.origin) lines.push(escape(effect.sourceName));
+    return {
+      uuid: effect.uuid,
+      name: effect.name,
+      img: effect.img,
+      tooltip: lines.join("<br>"),
+      isConcentration,
+      concentrationItem,
+      canToggle: actor.isOwner
+    };
+  });
+}
+
+/**
+ * Collects the spellcasting info of a character: spell save DC, spell attack bonus and spell slots.
+ *
+ * Spell slots live in "system.spells" with one entry per level ("spell1" to "spell9")
+ * and one for warlock pact magic ("pact"). Each entry has:
+ *   - value: How many slots are left.
+ *   - max: How many slots the character has in total.
+ *
+ * Every slot becomes a "pip" (a little dot) in the HUD. Filled pips are slots that are left,
+ * empty pips are slots that were used.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object} An object with:
+ *   - show: True if the character can cast spells or has any spell slots.
+ *   - dc: The spell save DC.
+ *   - attack: The spell attack bonus.
+ *   - slots: One entry per spell level that has slots (pact magic comes last).
+ *
+ * @example
+ * const { slots } = getSpellcasting(wizard);
+ * console.log(slots[0].label, slots[0].value, slots[0].max); // Might print "Level 1 3 4"
+ */
+export function getSpellcasting(actor) {
+  const attributes = actor.system.attributes ?? {};
+  const spells = actor.system.spells ?? {};
+  const slots = [];
+  for (let level = 1; level <= 9; level++) {
+    const slot = spells[`spell${level}`];
+    if (!slot?.max) continue;
+    slots.push(spellSlotData(`spell${level}`, game.i18n.format("FANCYUI5E.spell_level", { level }), slot));
+  }
+  if (spells.pact?.max) {
+    slots.push(spellSlotData("pact", game.i18n.format("FANCYUI5E.pact_slots", { level: spells.pact.level }), spells.pact));
+  }
+
+  // The spell save DC and attack bonus come from the spellcasting ability (like Intelligence for a wizard).
+  const ability = actor.system.abilities?.[attributes.spellcasting];
+  const prof = attributes.prof ?? 0;
+  return {
+    show: !!attributes.spellcasting || slots.length > 0,
+    dc: attributes.spell?.dc ?? attributes.spelldc ?? 8 + prof + (ability?.mod ?? 0),
+    attack: attributes.spell?.attack ?? prof + (ability?.mod ?? 0),
+    slots
   };
 }
 
+/**
+ * Turns one spell slot entry into the data the template needs.
+ *
+ * @param {string} key - The key of the slot in "system.spells" (like "spell3" or "pact").
+ * @param {string} label - The name to show (like "Level 3").
+ * @param {{value: number, max: number}} slot - The slot entry.
+ * @returns {Object} The key, label, value, max, used and the list of pips.
+ */
+function spellSlotData(key, label, slot) {
+  const max = slot.max ?? 0;
+  const value = Math.clamp(slot.value ?? 0, 0, max);
+  return {
+    key,
+    label,
+    value,
+    max,
+    used: max - value,
+    pips: Array.from({ length: max }, (_, index) => ({ index, filled: index < value }))
+  };
+}
+
+/**
+ * The activation types that get their own section in the Actions tab, in the order they are shown.
+ *
+ * Any activation type that is not in this list (like "minute" or "special") goes into
+ * the "other" section at the end.
+ *
+ * @type {string[]}
+ */
+const actionGroupTypes = ["action", "bonus", "reaction", "legendary", "lair", "crew"];
+
+/**
+ * Lists the action tiles of an actor in their order: the favorites for characters (see getActions),
+ * and the usable items for NPCs and vehicles (see getItemActions).
+ *
+ * This is also the order of the favorite keys (Alt+1 is the first tile, see keybindings.js).
+ *
+ * @param {Actor5e} actor - The actor.
+ * @returns {Object[]} The tiles.
+ *
+ * @example
+ * getActionSlots(actor)[0].name; // Might print "Longsword"
+ */
+export function getActionSlots(actor) {
+  return actor.type === "character" ? getActions(actor) : getItemActions(actor);
+}
+
+/**
+ * Builds both the flat list of favorite actions and the same actions split into sections.
+ *
+ * Characters use their favorites. NPCs and vehicles have no favorites, so they use their attacks
+ * and abilities instead (see getItemActions).
+ *
+ * The flat list keeps the favorites order, and the sections are what the Actions tab shows.
+ * An item can have several activities (for example an attack that is an action and a
+ * special move that is a bonus action), so it can appear in more than one section.
+ *
+ * @param {Actor5e} actor - The actor whose favorite actions we want.
+ * @returns {{actions: Object[], actionGroups: Object[]}} The flat list and the sections.
+ *   Each section has:
+ *   - type: The activation type (like "bonus"), or "other".
+ *   - actions: The actions that belong in that section.
+ *
+ * @example
+ * const { actionGroups } = getActionData(actor);
+ * console.log(actionGroups[0].type); // Might print "action"
+ */
+function getActionData(actor) {
+  const actions = getActionSlots(actor);
+  const groups = new Map([...actionGroupTypes, "other"].map(type => [type, []]));
+  for (const action of actions) {
+    for (const type of action.activationTypes) {
+      groups.get(groups.has(type) ? type : "other").push(action);
+    }
+  }
+  // Only keep the sections that have something in them.
+  const actionGroups = Array.from(groups, ([type, list]) => ({ type, actions: list }))
+    .filter(group => group.actions.length > 0);
+  console.log("Grouped actions:", actionGroups.map(g => `${g.type}: ${g.actions.length}`));
+  return { actions, actionGroups };
+}
+
+/**
+ * Finds the activation types (like "action", "bonus" or "reaction") of an item.
+ *
+ * In dnd5e, an item keeps the things it can do in a list called "activities".
+ * Each activity says how long it takes to use in "activation.type".
+ * Items without any activities (like a plain class feature) count as "other".
+ *
+ * @param {Item5e} item - The item to check.
+ * @returns {string[]} The different activation types of the item, without repeats.
+ *
+ * @example
+ * // A Longsword with a single attack activity returns ["action"].
+ * getActivationTypes(longsword);
+ */
+function getActivationTypes(item) {
+  const types = new Set();
+  for (const activity of item.system?.activities ?? []) {
+    types.add(activity.activation?.type || "other");
+  }
+  if (!types.size) types.add("other");
+  return Array.from(types);
+}
+
 /**
  * Creates a list of favorite actions from the character's items.
  *
@@ -124,8 +469,10 @@ export function characterData(actor) {
  *   - sort: A number that tells us how to sort the favorites.
  *
  * This function uses the function fromUuidSync to look up each favorite by its ID,
- * then checks if the item type is one of the allowed types ("spell", "consumable", "weapon", "feat").
- * If it is, the item is added to the list of actions.
+ * then checks if the item type is one of the allowed types (by default "spell", "consumable", "weapon"
+ * and "feat"; each player can change the list in the "favorite-types" setting, see favorites.js).
+ * If it is, the item is added to the list of actions. Favorites that are not items (like effects) are skipped.
+ * Extra tiles registered by other modules (see providers.js) are added too.
  *
  * @param {Actor5e} actor - The actor whose favorite actions we want.
  * @returns {Object[]} An array of action objects. Each object has:
@@ -133,6 +480,14 @@ export function characterData(actor) {
  *   - name: The item's name.
  *   - img: The image (icon) of the item.
  *   - sort: The sort order for the favorite.
+ *   - activationTypes: The activation types of the item's activities (like "action" or "bonus").
+ *   - hasActivityChoice: True if the item has more than one activity to choose from.
+ *   - uses: The limited uses of the item (value, max and recovery period), or null.
+ *   - quantity: How many of the item the character has (only for consumables), or null.
+ *   - ammo: How much ammunition is left (only for weapons that use ammunition), or null.
+ *   - isConsumable / usesAmmo: True if the quantity / ammunition badge should be shown.
+ *   - depleted: True if the item has no uses, quantity or ammunition left.
+ *   - provider: The ID of the provider the tile came from (only for tiles from other modules).
  *
  * @example
  * // Suppose the actor has favorites set up. Calling getActions(actor) returns an array of items.
@@ -152,33 +507,148 @@ function getActions(actor) {
       // Use fromUuidSync to get the item document using its relative id.
       // For example, ".Item.eaoSDox05BrFS9Lh" might point to a dagger.
       const itemDoc = fromUuidSync(fav.id, { relative: actor });
-      if (!itemDoc) continue;
-      // Determine the type of the item. This tells us if it is a spell, weapon, etc.
-      const itemType = itemDoc.data?.type || itemDoc.type;
-      // Only include items if they are one of the allowed types.
-      if (!["spell", "consumable", "weapon", "feat"].includes(itemType)) continue;
-      actions.push({
-        id: itemDoc.id,
-        name: itemDoc.name,
-        img: itemDoc.img,
-        sort: fav.sort || 0
-      });
+      if (!(itemDoc instanceof Item)) continue;
+      // Only include items if they are one of the allowed types (like a spell or a weapon).
+      if (!isFavoriteType(itemDoc)) continue;
+      actions.push(actionTile(actor, itemDoc, fav.sort || 0));
       console.log("Including favorite action:", itemDoc.name);
     } catch (err) {
       console.error("Error resolving favorite id:", fav.id, err);
     }
   }
+  // Add the tiles from other modules (see providers.js).
+  actions.push(...getProvidedActions(actor));
   // Sort the actions array by the sort value so they show in the right order.
   actions.sort((a, b) => a.sort - b.sort);
   console.log("Sorted actions:", actions.length);
   return actions;
 }
 
+/**
+ * Builds the tile of one item in the Actions panel (see getActions for what each property means).
+ *
+ * @param {Actor5e} actor - The actor who owns the item.
+ * @param {Item5e} item - The item.
+ * @param {number} sort - Where the tile goes in the list.
+ * @returns {Object} The tile.
+ */
+function actionTile(actor, item, sort) {
+  return {
+    id: item.id,
+    // The UUID lets dnd5e fill in the tile's tooltip (see character-actions.hbs).
+    uuid: item.uuid,
+    name: item.name,
+    img: item.img,
+    sort,
+    activationTypes: getActivationTypes(item),
+    hasActivityChoice: (item.system?.activities?.size ?? 0) > 1,
+    ...getActionCounts(actor, item)
+  };
+}
+
+/**
+ * The item types that give NPCs and vehicles their action tiles: attacks (weapons) and
+ * abilities (features). Vehicles also keep their siege weapons and stations as equipment.
+ *
+ * @type {Object<string, string[]>}
+ */
+const itemActionTypes = {
+  npc: ["weapon", "feat"],
+  vehicle: ["weapon", "equipment", "feat"]
+};
+
+/**
+ * Creates the list of actions of an NPC or a vehicle, which have no favorites.
+ *
+ * Every attack and ability that can be used (that has activities) gets a tile, in the order of the
+ * actor's sheet. Passive traits (like Keen Smell) have nothing to use, so they are left out.
+ * Legendary and lair actions get their own sections, and vehicle actions go in "Crew actions".
+ *
+ * @param {Actor5e} actor - The NPC or vehicle.
+ * @returns {Object[]} The tiles, like the ones from getActions.
+ *
+ * @example
+ * getItemActions(goblin).map(a => a.name); // Might print ["Scimitar", "Shortbow", "Nimble Escape"]
+ */
+function getItemActions(actor) {
+  const types = itemActionTypes[actor.type] ?? itemActionTypes.npc;
+  const actions = actor.items
+    .filter(item => types.includes(item.type) && (item.system?.activities?.size ?? 0) > 0)
+    .map(item => actionTile(actor, item, item.sort || 0));
+  console.log("Item actions for", actor.name, actions.length);
+  actions.push(...getProvidedActions(actor));
+  actions.sort((a, b) => a.sort - b.sort);
+  return actions;
+}
+
+/**
+ * Collects the counters shown as badges on an action tile.
+ *
+ * There are three kinds of counters:
+ *   - uses: Limited uses, like "Second Wind: 1 of 1, back on a short rest".
+ *   - quantity: How many of a consumable are left, like "Healing Potion x3".
+ *   - ammo: How much ammunition a weapon has left, like "Longbow: 20 arrows".
+ *
+ * @param {Actor5e} actor - The actor who owns the item.
+ * @param {Item5e} item - The item to read.
+ * @returns {Object} The counters (uses, quantity, ammo), whether the item has a quantity (isConsumable)
+ *   or ammunition (usesAmmo) to show, and whether nothing is left (depleted).
+ *
+ * @example
+ * getActionCounts(actor, potion); // Might return { uses: null, quantity: 0, ammo: null, depleted: true }
+ */
+function getActionCounts(actor, item) {
+  const system = item.system ?? {};
+  let uses = null;
+  if (system.uses?.max) {
+    // dnd5e keeps a list of ways to recover uses; the first one is the one we show (like "SR" or "LR").
+    const period = system.uses.recovery?.[0]?.period ?? system.uses.per;
+    const periodConfig = CONFIG.DND5E?.limitedUsePeriods?.[period];
+    uses = {
+      value: system.uses.value ?? 0,
+      max: Number(system.uses.max),
+      recovery: periodConfig?.abbreviation ?? periodConfig?.label ?? ""
+    };
+  }
+  const quantity = item.type === "consumable" ? system.quantity ?? 0 : null;
+  const ammunition = getAmmunition(actor, item);
+  const ammo = ammunition ? ammunition.reduce((total, a) => total + (a.system.quantity ?? 0), 0) : null;
+  return {
+    uses,
+    quantity,
+    ammo,
+    isConsumable: quantity !== null,
+    usesAmmo: ammo !== null,
+    depleted: (uses !== null && uses.value <= 0) || quantity === 0 || ammo === 0
+  };
+}
+
+/**
+ * Finds the ammunition a weapon can use.
+ *
+ * Weapons with the "Ammunition" property (like bows and crossbows) use consumable items of type "ammo".
+ * If the weapon says which kind of ammunition it needs (like "arrow"), only that kind is returned.
+ *
+ * @param {Actor5e} actor - The actor who owns the weapon.
+ * @param {Item5e} item - The weapon.
+ * @returns {Item5e[]|null} The matching ammunition items, or null if the item does not use ammunition.
+ *
+ * @example
+ * const arrows = getAmmunition(actor, longbow);
+ * console.log(arrows[0].name); // Might print "Arrows"
+ */
+export function getAmmunition(actor, item) {
+  if (item.type !== "weapon" || !item.system?.properties?.has?.("amm")) return null;
+  const ammoType = item.system.ammunition?.type;
+  return actor.itemTypes.consumable.filter(a => a.system.type?.value === "ammo"
+    && (!ammoType || a.system.type?.subtype === ammoType));
+}
+
 /**
  * Checks if an item should be included in the action list.
  *
  * This helper function is simple. It looks at the item and checks its type.
- * Only items of type "spell", "consumable", "weapon", or "feat" are allowed.
+ * Only the item types chosen in the "favorite-types" setting are allowed (see favorites.js).
  *
  * @param {Item5e} item - The item to check.
  * @returns {boolean} True if the item should be included; otherwise false.
@@ -190,6 +660,5 @@ function getActions(actor) {
  */
 function isItemInActionList(item) {
   console.log("Checking item for action list:", item?.name || "undefined item", item?.type || "undefined type");
-  const type = item.data?.type || item.type;
-  return ["spell", "consumable", "weapon", "feat"].includes(type);
+  return isFavoriteType(item);
 }
@@ -0,0 +1,128 @@
+/**
+ * Combat tracker support for the HUDs.
+ *
+ * During combat, the HUDs show whose turn it is. The character HUD shows the round, the
+ * character's initiative, and an "End Turn" button on their turn. Clicking the initiative box
+ * rolls initiative (and adds the character to the combat if they are not in it yet).
+ * The party HUD is sorted in initiative order, with the member whose turn it is highlighted.
+ */
+
+import { getRollOptions, consumeStickyMode } from "./rolls.js";
+import { getActorById } from "./utils.js";
+
+/**
+ * Finds an actor's combatant in the current combat.
+ *
+ * @param {Actor5e} actor - The actor.
+ * @param {Combat|null} [combat=game.combat] - The combat to look in.
+ * @returns {Combatant|null} The combatant, or null if the actor is not in the combat.
+ */
+export function getCombatant(actor, combat = game.combat) {
+  if (!actor || !combat) return null;
+  // An actor can have more than one combatant (for example, two tokens of the same actor).
+  // The one whose turn it is wins, then the first one. Actors are matched by UUID, so each unlinked
+  // token (like one of five goblins) only finds its own combatant.
+  const combatants = combat.combatants.filter(c => c.actor?.uuid === actor.uuid);
+  return combatants.find(c => c.id === combat.combatant?.id) ?? combatants[0] ?? null;
+}
+
+/**
+ * Builds the combat data the templates need for one actor.
+ *
+ * @param {Actor5e} actor - The actor.
+ * @returns {Object} An object with:
+ *   - active: True if there is a combat and it has started.
+ *   - inCombat: True if the actor is in the combat.
+ *   - round: The current round.
+ *   - initiative: The actor's initiative result, or null if not rolled yet.
+ *   - hasInitiative: True if the initiative was rolled (a result of 0 is still a result).
+ *   - isTurn: True if it is the actor's turn.
+ *   - canEndTurn: True if the user can end this turn (the owner of the combatant or the GM).
+ *
+ * @example
+ * getCombatData(actor); // Might return { active: true, inCombat: true, round: 2, initiative: 17, hasInitiative: true, isTurn: true, canEndTurn: true }
+ */
+export function getCombatData(actor) {
+  const combat = game.combat;
+  const combatant = getCombatant(actor, combat);
+  const active = !!combat?.started;
+  const isTurn = active && !!combatant && combat.combatant?.id === combatant.id;
+  return {
+    active,
+    inCombat: !!combatant,
+    round: combat?.round ?? 0,
+    initiative: combatant?.initiative ?? null,
+    hasInitiative: Number.isFinite(combatant?.initiative),
+    isTurn,
+    canEndTurn: isTurn && (combatant.isOwner || game.user.isGM)
+  };
+}
+
+/**
+ * Sorts actors in initiative order (the order of the combat tracker), while a combat is running.
+ * Actors that are not in the combat keep their order, after the others.
+ *
+ * @param {Actor5e[]} actors - The actors.
+ * @returns {Actor5e[]} The sorted actors (a new array).
+ */
+export function sortByInitiative(actors) {
+  const combat = game.combat;
+  if (!combat?.started) return actors;
+  const turnOf = (actor) => {
+    const index = combat.turns.findIndex(c => c.actor?.uuid === actor.uuid);
+    return index === -1 ? combat.turns.length + actors.indexOf(actor) : index;
+  };
+  return [...actors].sort((a, b) => turnOf(a) - turnOf(b));
+}
+
+/**
+ * Rolls initiative for the clicked character (the initiative box in the character HUD).
+ *
+ * The character is added to the current combat if they are not in it yet. Holding the advantage
+ * or disadvantage key (or the sticky toggle) rolls with advantage or disadvantage, and the
+ * dialog key opens the dnd5e initiative dialog.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function rollInitiative(e, target = e.currentTarget) {
+  e.preventDefault();
+  const element = target.closest("[data-character-id]");
+  const actor = getActorById(element?.dataset.characterId);
+  if (!actor) return ui.notifications.warn("Actor not found.");
+  if (!game.combat) return ui.notifications.warn(game.i18n.localize("FANCYUI5E.combat_none"));
+
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  console.log("Rolling initiative for:", actor.name, { advantage, disadvantage, configure });
+  if (configure || advantage || disadvantage) {
+    // The dnd5e dialog knows about advantage and disadvantage; it adds the roll to the combat itself.
+    // It does not return the roll, so the combatant's initiative tells whether the roll was made.
+    await actor.rollInitiativeDialog({ advantage, disadvantage, fastForward: !configure });
+    consumeStickyMode(options, Number.isFinite(getCombatant(actor)?.initiative));
+    return;
+  }
+  await actor.rollInitiative({ createCombatants: true, rerollInitiative: false });
+}
+
+/**
+ * Ends the current turn (the "End Turn" button), moving the combat to the next combatant.
+ *
+ * @param {Event} e - The click event.
+ * @returns {Promise<void>}
+ */
+export async function endTurn(e) {
+  e.preventDefault();
+  const combat = game.combat;
+  if (!combat?.started) return;
+  const combatant = combat.combatant;
+  if (!combatant?.isOwner && !game.user.isGM) {
+    return ui.notifications.warn(game.i18n.localize("FANCYUI5E.combat_not_your_turn"));
+  }
+  console.log("Ending turn of:", combatant.name);
+  await combat.nextTurn();
+}
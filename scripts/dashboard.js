@@ -0,0 +1,180 @@
+/**
+ * The GM dashboard of the party HUD.
+ *
+ * The GM can expand the party HUD into a dashboard. Each member then also shows their armor class,
+ * passive Perception, Insight and Investigation, spell save DC, conditions and remaining hit dice,
+ * so the GM can answer "would they notice the trap?" without opening any sheet.
+ *
+ * The dashboard also lets the GM roll a skill check or saving throw for the whole party at once.
+ * All the results go into a single chat card, with each member's total and whether the group
+ * passed against the DC. Like the D&D group check rule, the group passes if at least half of
+ * the members pass.
+ */
+
+import { getSpellcasting } from "./character.js";
+import { getHitDice } from "./rest.js";
+
+/**
+ * The skills whose passive scores the dashboard shows (Perception, Insight and Investigation),
+ * and the icon shown for each one.
+ *
+ * @type {Object<string, string>}
+ */
+const passiveSkills = {
+  prc: "fa-eye",
+  ins: "fa-brain",
+  inv: "fa-magnifying-glass"
+};
+
+/**
+ * Checks if the GM has the dashboard expanded (a client setting, so it is remembered between sessions).
+ *
+ * @returns {boolean} True if the dashboard is expanded.
+ */
+export function isDashboardOpen() {
+  return !!game.settings.get("fancy-hud-5e", "party-dashboard");
+}
+
+/**
+ * Expands or collapses the dashboard.
+ *
+ * @returns {Promise<void>}
+ */
+export async function toggleDashboard() {
+  console.log("Toggling party dashboard");
+  await game.settings.set("fancy-hud-5e", "party-dashboard", !isDashboardOpen());
+}
+
+/**
+ * Builds the dashboard data for one party member.
+ *
+ * @param {Actor5e} actor - The member.
+ * @returns {Object} An object with:
+ *   - ac: The armor class.
+ *   - passives: Passive Perception, Insight and Investigation, each with an icon, label and value.
+ *   - spellDc: The spell save DC, or null if the member does not cast spells.
+ *   - conditions: The conditions on the member (like Prone), each with a name and icon.
+ *   - hitDice: The hit dice left, per die size (like "2/3 d10").
+ *
+ * @example
+ * getDashboardData(actor).passives[0]; // Might print { key: "prc", icon: "fa-eye", label: "Perception", value: 14 }
+ */
+export function getDashboardData(actor) {
+  const system = actor.system ?? {};
+  const spellcasting = getSpellcasting(actor);
+  return {
+    ac: system.attributes?.ac?.value ?? "",
+    passives: Object.entries(passiveSkills).map(([key, icon]) => ({
+      key,
+      icon,
+      label: CONFIG.DND5E.skills[key]?.label ?? key,
+      value: system.skills?.[key]?.passive ?? ""
+    })),
+    spellDc: spellcasting.show ? spellcasting.dc : null,
+    conditions: getConditions(actor),
+    hitDice: getHitDice(actor)
+  };
+}
+
+/**
+ * Finds the conditions (status effects like Prone or Poisoned) on an actor.
+ *
+ * @param {Actor5e} actor - The actor.
+ * @returns {{id: string, name: string, img: string}[]} The conditions.
+ */
+function getConditions(actor) {
+  const statuses = actor.statuses ?? new Set();
+  return CONFIG.statusEffects
+    .filter(status => statuses.has(status.id))
+    .map(status => ({
+      id: status.id,
+      name: game.i18n.localize(status.name ?? status.label ?? status.id),
+      img: status.img ?? status.icon
+    }));
+}
+
+/**
+ * Builds the choices of the group roll menu: every skill, then every saving throw.
+ *
+ * @returns {{skills: Object[], saves: Object[]}} The choices, each with a value (like "skill.prc"
+ *   or "save.dex") and a label.
+ */
+export function getGroupRollChoices() {
+  const skills = Object.entries(CONFIG.DND5E.skills).map(([key, skill]) => ({ value: `skill.${key}`, label: skill.label }));
+  const saves = Object.entries(CONFIG.DND5E.abilities).map(([key, ability]) => ({ value: `save.${key}`, label: ability.label }));
+  skills.sort((a, b) => a.label.localeCompare(b.label));
+  return { skills, saves };
+}
+
+/**
+ * Rolls one member's part of a group roll, without a chat message of its own.
+ *
+ * @param {Actor5e} actor - The member.
+ * @param {string} type - "skill" or "save".
+ * @param {string} key - The skill (like "prc") or ability (like "dex").
+ * @returns {Promise<Roll|null>} The roll, or null if the member could not roll.
+ */
+async function rollMember(actor, type, key) {
+  try {
+    const rolls = type === "skill"
+      ? await actor.rollSkill({ skill: key }, { configure: false }, { create: false })
+      : await actor.rollSavingThrow({ ability: key }, { configure: false }, { create: false });
+    return Array.isArray(rolls) ? rolls[0] ?? null : rolls ?? null;
+  } catch (err) {
+    console.error("Group roll failed for", actor.name, err);
+    return null;
+  }
+}
+
+/**
+ * Rolls a skill check or saving throw for every member and posts one chat card with the results.
+ *
+ * @param {Actor5e[]} actors - The members who roll.
+ * @param {string} choice - What to roll, like "skill.prc" or "save.dex" (see getGroupRollChoices).
+ * @param {number|null} dc - The DC to beat, or null to only list the totals.
+ * @returns {Promise<ChatMessage|undefined>} The chat card.
+ *
+ * @example
+ * // Everyone rolls Stealth against DC 13:
+ * await rollGroup(getPartyMembers(), "skill.ste", 13);
+ */
+export async function rollGroup(actors, choice, dc) {
+  const [type, key] = String(choice).split(".");
+  const label = type === "skill" ? CONFIG.DND5E.skills[key]?.label : CONFIG.DND5E.abilities[key]?.label;
+  if (!label || !["skill", "save"].includes(type)) return ui.notifications.warn("Choose a skill or saving throw first.");
+  if (!actors.length) return ui.notifications.warn("There is nobody in the party.");
+  console.log("Group roll:", choice, "DC", dc);
+
+  const results = [];
+  for (const actor of actors) {
+    const roll = await rollMember(actor, type, key);
+    if (!roll) continue;
+    results.push({
+      name: actor.name,
+      img: actor.img,
+      total: roll.total,
+      formula: roll.formula,
+      passed: dc === null ? null : roll.total >= dc
+    });
+  }
+  if (!results.length) return;
+
+  const passes = results.filter(r => r.passed).length;
+  const title = type === "skill"
+    ? game.i18n.format("FANCYUI5E.group_roll_skill", { skill: label })
+    : game.i18n.format("FANCYUI5E.group_roll_save", { ability: label });
+  const content = await renderTemplate("modules/fancy-hud-5e/templates/group-roll.hbs", {
+    title,
+    dc,
+    results,
+    passes,
+    hasDc: dc !== null,
+    // The group passes if at least half of the members pass.
+    groupPassed: passes >= Math.ceil(results.length / 2)
+  });
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ user: game.user }),
+    sound: CONFIG.sounds.dice
+  });
+}
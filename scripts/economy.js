@@ -0,0 +1,144 @@
+/**
+ * The action economy tracker.
+ *
+ * On their turn, a D&D character gets one action, one bonus action and their movement, and they
+ * get one reaction per round. In the middle of a fight it is easy to forget what is already used,
+ * so during combat the character HUD shows four small icons, one for each of these, and greys
+ * out the ones that were spent. Think of it like a checklist that is wiped clean at the start of
+ * every turn.
+ *
+ * - Using a favorite from the Actions panel marks the slot that matches its activation type
+ *   (an activity that takes a bonus action marks the bonus action, and so on).
+ * - Clicking an icon marks or clears it by hand (movement is always marked by hand).
+ * - When a combatant's turn starts, all four are cleared. Reactions are only cleared then too,
+ *   so a reaction used during someone else's turn stays spent until the character's own turn.
+ *
+ * The state is kept in a flag on the combatant, so the GM (and every other player) sees it too.
+ * It goes away with the combat.
+ */
+
+import { getCombatant } from "./combat.js";
+import { getActorById } from "./utils.js";
+
+/**
+ * The tracked slots, in the order they are shown, with their icon.
+ * The keys match dnd5e's activation types ("action", "bonus" and "reaction").
+ *
+ * @type {Object<string, string>}
+ */
+const economySlots = {
+  action: "fa-circle",
+  bonus: "fa-play",
+  reaction: "fa-rotate-left",
+  movement: "fa-person-running"
+};
+
+/**
+ * Reads which slots a combatant has spent this turn.
+ *
+ * @param {Combatant} combatant - The combatant.
+ * @returns {Object<string, boolean>} True for each spent slot, like { action: true, bonus: false, ... }.
+ */
+function getSpent(combatant) {
+  const flag = combatant.getFlag("fancy-hud-5e", "economy") ?? {};
+  return Object.fromEntries(Object.keys(economySlots).map(slot => [slot, !!flag[slot]]));
+}
+
+/**
+ * Builds the data the character HUD needs to show the tracker.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object|null} null when the character is not in a running combat. Otherwise an object with:
+ *   - canEdit: True if the user can mark and clear the slots (the owner of the combatant or the GM).
+ *   - slots: One entry per slot, with its key, icon, label and whether it is spent.
+ *
+ * @example
+ * getEconomyData(actor).slots[1]; // Might print { key: "bonus", icon: "fa-play", label: "Bonus Action", spent: true }
+ */
+export function getEconomyData(actor) {
+  const combatant = game.combat?.started ? getCombatant(actor) : null;
+  if (!combatant) return null;
+  const spent = getSpent(combatant);
+  return {
+    canEdit: combatant.isOwner,
+    slots: Object.entries(economySlots).map(([key, icon]) => ({
+      key,
+      icon,
+      label: game.i18n.localize(`FANCYUI5E.economy_${key}`),
+      spent: spent[key]
+    }))
+  };
+}
+
+/**
+ * Marks a slot as spent (or clears it) for an actor's combatant.
+ *
+ * @param {Actor5e} actor - The character.
+ * @param {string} slot - "action", "bonus", "reaction" or "movement".
+ * @param {boolean} [spent=true] - True to mark it as spent, false to clear it.
+ * @returns {Promise<void>}
+ */
+export async function setSlotSpent(actor, slot, spent = true) {
+  if (!(slot in economySlots)) return;
+  const combatant = game.combat?.started ? getCombatant(actor) : null;
+  if (!combatant?.isOwner) return;
+  if (getSpent(combatant)[slot] === spent) return;
+  console.log("Action economy:", actor.name, slot, spent ? "spent" : "cleared");
+  await combatant.setFlag("fancy-hud-5e", "economy", { ...getSpent(combatant), [slot]: spent });
+}
+
+/**
+ * Marks the slot used by an activity (after it was used from the Actions panel).
+ * Activities that take no action, bonus action or reaction (like a 1 minute ritual) mark nothing.
+ *
+ * @param {Actor5e} actor - The character who used the activity.
+ * @param {Activity} activity - The activity that was used.
+ * @returns {Promise<void>}
+ */
+export async function markActivityUsed(actor, activity) {
+  const type = activity?.activation?.type;
+  if (!["action", "bonus", "reaction"].includes(type)) return;
+  await setSlotSpent(actor, type);
+}
+
+/**
+ * Marks or clears a slot when its icon is clicked.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-slot: The slot ("action", "bonus", "reaction" or "movement").
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function toggleEconomySlot(e, target = e.currentTarget) {
+  e.preventDefault();
+  const actor = getActorById(target.closest("[data-character-id]")?.dataset.characterId);
+  const combatant = game.combat?.started ? getCombatant(actor) : null;
+  if (!combatant) return;
+  if (!combatant.isOwner) return ui.notifications.warn(game.i18n.localize("FANCYUI5E.economy_not_owner"));
+  const slot = target.closest("[data-slot]")?.dataset.slot;
+  await setSlotSpent(actor, slot, !getSpent(combatant)[slot]);
+}
+
+/**
+ * Clears every slot of the combatant whose turn just started.
+ *
+ * Called from the updateCombat hook on every client, but only one user writes the change:
+ * the active GM, or the combatant's owner when no GM is connected.
+ *
+ * @param {Combat} combat - The combat.
+ * @param {Object} changes - The changes made to the combat.
+ * @returns {Promise<void>}
+ */
+export async function resetEconomyOnTurnStart(combat, changes) {
+  if (!combat.started || !("turn" in changes || "round" in changes)) return;
+  const combatant = combat.combatant;
+  if (!combatant?.getFlag("fancy-hud-5e", "economy")) return;
+  const activeGm = game.users.activeGM;
+  const writer = activeGm ? activeGm.isSelf : combatant.isOwner;
+  if (!writer) return;
+  console.log("New turn, clearing the action economy of:", combatant.name);
+  await combatant.unsetFlag("fancy-hud-5e", "economy");
+}
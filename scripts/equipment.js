@@ -0,0 +1,195 @@
+/**
+ * The Equipment panel of the character HUD.
+ *
+ * Right-clicking the character picture opens a panel with what the character is wearing and wielding:
+ *   - Armor and shield, with their armor class.
+ *   - Weapons.
+ *   - Items that need attunement (like a Ring of Protection), with how many items are attuned
+ *     out of the limit (usually 3).
+ *   - How much the character carries, out of their carrying capacity.
+ *
+ * Clicking the shirt icon next to an item equips or unequips it, and clicking the sun
+ * attunes or unattunes it. Think of it like a quick trip to the character's closet,
+ * without opening the sheet. The HUD is drawn again by the updateItem hook in main.js.
+ */
+
+import { getActorById } from "./utils.js";
+
+/**
+ * Builds the entry of one item in the panel.
+ *
+ * @param {Item5e} item - The item.
+ * @returns {Object} The entry, with:
+ *   - id, name, img: The item's ID, name and image.
+ *   - equipped: True if the item is equipped.
+ *   - attuned: True if the item is attuned.
+ *   - attunement: True if the item can be attuned (attunement required or optional).
+ *   - detail: A short note, like "AC 16" for armor or "1d8 + 3" (the damage) for a weapon.
+ */
+function equipmentEntry(item) {
+  const system = item.system ?? {};
+  let detail = "";
+  if (item.type === "equipment" && system.armor?.value) {
+    detail = game.i18n.format("FANCYUI5E.equipment_ac", { ac: system.armor.value });
+  } else if (item.type === "weapon") {
+    detail = item.labels?.damages?.map(part => part.formula).filter(Boolean).join(" + ")
+      ?? system.damage?.base?.formula
+      ?? "";
+  }
+  return {
+    id: item.id,
+    name: item.name,
+    img: item.img,
+    equipped: !!system.equipped,
+    attuned: !!system.attuned,
+    attunement: !!system.attunement,
+    detail
+  };
+}
+
+/**
+ * Checks if an item is armor (not a shield), like Chain Mail or Leather Armor.
+ *
+ * @param {Item5e} item - The item.
+ * @returns {boolean} True for armor.
+ */
+function isArmor(item) {
+  const type = item.system?.type?.value;
+  return item.type === "equipment" && type !== "shield" && type in (CONFIG.DND5E.armorTypes ?? {});
+}
+
+/**
+ * Checks if an item is a shield.
+ *
+ * @param {Item5e} item - The item.
+ * @returns {boolean} True for shields.
+ */
+function isShield(item) {
+  return item.type === "equipment" && item.system?.type?.value === "shield";
+}
+
+/**
+ * Reads how much the character carries, out of their carrying capacity.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object|null} null if the actor does not track weight (like most NPCs). Otherwise an object with:
+ *   - value: The weight carried.
+ *   - max: The carrying capacity.
+ *   - percent: How full the bar is, from 0 to 100.
+ *   - units: "lb" or "kg".
+ *   - encumbered: True when the character carries more than their capacity.
+ */
+function getCarriedWeight(actor) {
+  const encumbrance = actor.system.attributes?.encumbrance;
+  if (!encumbrance?.max) return null;
+  const metric = game.settings.settings.has("dnd5e.metricWeightUnits") && game.settings.get("dnd5e", "metricWeightUnits");
+  const value = Math.round((encumbrance.value ?? 0) * 10) / 10;
+  return {
+    value,
+    max: encumbrance.max,
+    percent: Math.clamp(encumbrance.pct ?? 0, 0, 100),
+    units: metric ? "kg" : "lb",
+    encumbered: value > encumbrance.max
+  };
+}
+
+/**
+ * Builds the data of the Equipment panel.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object} An object with:
+ *   - armor: The armor the character owns (see equipmentEntry for each entry).
+ *   - shields: The shields the character owns.
+ *   - weapons: The weapons the character owns.
+ *   - attunable: The items that can be attuned.
+ *   - attunement: How many items are attuned (value) out of the limit (max), and whether the limit is reached (full).
+ *   - weight: How much the character carries (see getCarriedWeight), or null.
+ *
+ * @example
+ * getEquipmentData(actor).attunement; // Might print { value: 2, max: 3, full: false }
+ */
+export function getEquipmentData(actor) {
+  const items = Array.from(actor.items ?? []).sort((a, b) => (a.sort || 0) - (b.sort || 0));
+  const attunement = actor.system.attributes?.attunement ?? {};
+  const attunedCount = attunement.value ?? items.filter(item => item.system?.attuned).length;
+  return {
+    armor: items.filter(isArmor).map(equipmentEntry),
+    shields: items.filter(isShield).map(equipmentEntry),
+    weapons: items.filter(item => item.type === "weapon").map(equipmentEntry),
+    attunable: items.filter(item => item.system?.attunement).map(equipmentEntry),
+    attunement: {
+      value: attunedCount,
+      max: attunement.max ?? 3,
+      full: attunedCount >= (attunement.max ?? 3)
+    },
+    weight: getCarriedWeight(actor)
+  };
+}
+
+/**
+ * Finds the actor and item of a clicked row in the Equipment panel, and checks that the user owns them.
+ *
+ * @param {HTMLElement} target - The clicked element.
+ * @returns {{actor: Actor5e, item: Item5e}|undefined} The actor and item, or undefined (with a warning) if not found.
+ */
+function getEquipmentItem(target) {
+  const element = target.closest("[data-item-id]");
+  const actor = getActorById(element?.dataset.characterId);
+  const item = actor?.items.get(element?.dataset.itemId);
+  if (!item) {
+    ui.notifications.warn("Item not found.");
+    return;
+  }
+  if (!item.isOwner) {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.equipment_not_owner"));
+    return;
+  }
+  return { actor, item };
+}
+
+/**
+ * Equips or unequips an item.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-item-id: The item's ID.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function toggleEquipped(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const found = getEquipmentItem(target);
+  if (!found) return;
+  const equipped = !found.item.system.equipped;
+  console.log(equipped ? "Equipping" : "Unequipping", found.item.name);
+  await found.item.update({ "system.equipped": equipped });
+}
+
+/**
+ * Attunes or unattunes an item. Attuning is refused when the character is already at their attunement limit.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-item-id: The item's ID.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function toggleAttuned(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const found = getEquipmentItem(target);
+  if (!found) return;
+  const { actor, item } = found;
+  if (!item.system.attunement) return;
+  const attuned = !item.system.attuned;
+  if (attuned && getEquipmentData(actor).attunement.full) {
+    return ui.notifications.warn(game.i18n.localize("FANCYUI5E.equipment_attunement_full"));
+  }
+  console.log(attuned ? "Attuning" : "Unattuning", item.name);
+  await item.update({ "system.attuned": attuned });
+}
@@ -0,0 +1,149 @@
+/**
+ * Managing favorites from the Actions panel.
+ *
+ * The Actions panel shows the items the character marked as favorites in the dnd5e sheet
+ * (they are kept in actor.system.favorites). This file lets players change that list without
+ * opening the sheet:
+ *   - Drop an item on the panel (from the Items sidebar or from the character sheet) to add it.
+ *     Items from the sidebar or from another actor are copied to the character first.
+ *   - Drag a tile onto another tile to move it before or after it. The new order is written
+ *     back to the "sort" of each favorite, so the sheet shows the same order.
+ *   - Right-click a tile and choose "Remove from favorites".
+ *
+ * Which item types can show up in the panel is a client setting ("favorite-types"), so each
+ * player can choose whether tools, equipment and so on belong there too.
+ */
+
+/**
+ * The item types shown in the Actions panel by default.
+ *
+ * @type {string[]}
+ */
+export const defaultFavoriteTypes = ["spell", "consumable", "weapon", "feat"];
+
+/**
+ * Reads the item types that can show up in the Actions panel from the "favorite-types" setting.
+ *
+ * The setting is a comma-separated list, like "spell, consumable, weapon, feat, tool".
+ * An empty setting means every item type.
+ *
+ * @returns {string[]} The item types, or an empty list for every type.
+ *
+ * @example
+ * getFavoriteTypes(); // Might print ["spell", "consumable", "weapon", "feat"]
+ */
+export function getFavoriteTypes() {
+  const text = game.settings.get("fancy-hud-5e", "favorite-types") ?? "";
+  return text.split(",").map(type => type.trim()).filter(Boolean);
+}
+
+/**
+ * Checks if an item is of a type that can show up in the Actions panel.
+ *
+ * @param {Item5e} item - The item to check.
+ * @returns {boolean} True if the item can be shown.
+ */
+export function isFavoriteType(item) {
+  const types = getFavoriteTypes();
+  return !types.length || types.includes(item.type);
+}
+
+/**
+ * Lists the actor's favorites in their order (lowest sort first).
+ *
+ * @param {Actor5e} actor - The actor.
+ * @returns {Object[]} Copies of the favorites, each with a type, an id (like ".Item.eaoSDox05BrFS9Lh") and a sort.
+ */
+function getSortedFavorites(actor) {
+  return (actor.system.favorites ?? [])
+    .map(fav => ({ ...fav }))
+    .sort((a, b) => (a.sort || 0) - (b.sort || 0));
+}
+
+/**
+ * Checks if the user can change the actor's favorites. Only characters have favorites in dnd5e.
+ *
+ * @param {Actor5e} actor - The actor.
+ * @returns {boolean} True if the favorites can be changed. Shows a warning if not.
+ */
+function canEditFavorites(actor) {
+  if (!actor?.isOwner) {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.favorites_not_owner"));
+    return false;
+  }
+  if (typeof actor.system.addFavorite !== "function") {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.favorites_unsupported"));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Adds an item to the actor's favorites.
+ *
+ * If the item is not the actor's own (it comes from the Items sidebar, a compendium or another actor),
+ * a copy is added to the actor first, and the copy becomes the favorite.
+ *
+ * @param {Actor5e} actor - The character.
+ * @param {Item5e} item - The item that was dropped.
+ * @returns {Promise<Item5e|undefined>} The favorited item (the copy, for items that were copied).
+ *
+ * @example
+ * // Dropping a Potion of Healing from the sidebar copies it to the character and favorites it.
+ * await addFavorite(actor, potion);
+ */
+export async function addFavorite(actor, item) {
+  if (!canEditFavorites(actor) || !item) return;
+  if (!isFavoriteType(item)) {
+    return ui.notifications.warn(game.i18n.format("FANCYUI5E.favorites_wrong_type", { types: getFavoriteTypes().join(", ") }));
+  }
+  let owned = item;
+  if (item.parent !== actor) {
+    console.log("Copying item to the character before adding it to favorites:", item.name);
+    [owned] = await actor.createEmbeddedDocuments("Item", [item.toObject()]);
+    if (!owned) return;
+  }
+  const id = owned.getRelativeUUID(actor);
+  if (actor.system.hasFavorite?.(id)) return owned;
+  console.log("Adding favorite:", owned.name);
+  await actor.system.addFavorite({ type: "item", id });
+  return owned;
+}
+
+/**
+ * Removes an item from the actor's favorites. The item itself stays on the character.
+ *
+ * @param {Actor5e} actor - The character.
+ * @param {Item5e} item - The item to remove.
+ * @returns {Promise<void>}
+ */
+export async function removeFavorite(actor, item) {
+  if (!canEditFavorites(actor) || !item) return;
+  console.log("Removing favorite:", item.name);
+  await actor.system.removeFavorite(item.getRelativeUUID(actor));
+}
+
+/**
+ * Moves a favorite before or after another one, and writes the new order back to each favorite's "sort".
+ *
+ * @param {Actor5e} actor - The character.
+ * @param {string} itemId - The ID of the item that was dragged.
+ * @param {string} targetId - The ID of the item it was dropped on.
+ * @param {boolean} [after=false] - True to place it after the target (dropped on its lower half).
+ * @returns {Promise<void>}
+ */
+export async function moveFavorite(actor, itemId, targetId, after = false) {
+  if (itemId === targetId || !canEditFavorites(actor)) return;
+  const favorites = getSortedFavorites(actor);
+  const relativeId = (id) => actor.items.get(id)?.getRelativeUUID(actor);
+  const moved = favorites.find(fav => fav.id === relativeId(itemId));
+  if (!moved) return;
+  const others = favorites.filter(fav => fav !== moved);
+  const index = others.findIndex(fav => fav.id === relativeId(targetId));
+  if (index === -1) return;
+  others.splice(after ? index + 1 : index, 0, moved);
+  // Space the sort values out like Foundry does, so the sheet can still slot favorites in between.
+  others.forEach((fav, i) => fav.sort = (i + 1) * CONST.SORT_INTEGER_DENSITY);
+  console.log("Moving favorite:", itemId, after ? "after" : "before", targetId);
+  await actor.update({ "system.favorites": others });
+}
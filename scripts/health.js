@@ -0,0 +1,269 @@
+/**
+ * Hit point helpers for the HUD.
+ *
+ * This file works out how hurt a character is (the health "tier" that colors the HP bar), and
+ * reads what a player types into an HP box and turns it into a change to the character.
+ * Damage and healing go through the dnd5e damage workflow (Actor5e#applyDamage), so temporary
+ * hit points are used up first and resistances, immunities and vulnerabilities are applied.
+ * It also sets up the HP boxes of both HUDs, so they all understand the same short forms.
+ */
+
+import { getActorById } from "./utils.js";
+
+/**
+ * The default percentage breakpoints between the health tiers, from healthiest to most hurt.
+ *
+ * @type {number[]}
+ */
+const defaultHealthThresholds = [75, 50, 25];
+
+/**
+ * The health tiers, from healthiest to most hurt. Each one is also a CSS class on the HP bar.
+ * The "down" tier is only used at 0 HP.
+ *
+ * @type {string[]}
+ */
+const healthTiers = ["healthy", "hurt", "injured", "critical"];
+
+/**
+ * Reads the health tier breakpoints from the "health-thresholds" world setting.
+ *
+ * The setting is a list of three percentages separated by commas, like "75, 50, 25".
+ * Above the first one a character is "healthy", above the second "hurt", above the third
+ * "injured", and below it "critical". If the setting cannot be read, the defaults are used.
+ *
+ * @returns {number[]} Three percentages, from highest to lowest.
+ *
+ * @example
+ * getHealthThresholds(); // [75, 50, 25]
+ */
+export function getHealthThresholds() {
+  const setting = String(game.settings.get("fancy-hud-5e", "health-thresholds") ?? "");
+  const values = setting.split(",").map(v => Number(v.trim()));
+  if (values.length !== 3 || values.some(v => !Number.isFinite(v) || v < 0 || v > 100)) {
+    console.warn("Invalid health thresholds setting, using the defaults:", setting);
+    return defaultHealthThresholds;
+  }
+  return values.sort((a, b) => b - a);
+}
+
+/**
+ * Works out the health tier and bar width for a character's HP.
+ *
+ * @param {number} value - Current HP.
+ * @param {number} max - Maximum HP. A maximum of 0 never divides by zero; it counts as 0%.
+ * @returns {{percent: number, status: string}} The bar width (0 to 100) and the tier
+ *   ("healthy", "hurt", "injured", "critical" or "down").
+ *
+ * @example
+ * getHealthStatus(30, 40); // { percent: 75, status: "hurt" } with the default thresholds
+ * getHealthStatus(0, 40);  // { percent: 0, status: "down" }
+ */
+export function getHealthStatus(value, max) {
+  value = Number(value) || 0;
+  max = Number(max) || 0;
+  const percent = max > 0 ? Math.clamp(Math.floor((value / max) * 100), 0, 100) : 0;
+  if (value <= 0) return { percent: 0, status: "down" };
+  const thresholds = getHealthThresholds();
+  const index = thresholds.findIndex(threshold => percent > threshold);
+  return { percent, status: healthTiers[index === -1 ? healthTiers.length - 1 : index] };
+}
+
+/**
+ * The pattern for HP input. It matches an optional prefix, a number, and an optional damage type.
+ *
+ * @type {RegExp}
+ */
+const healthInputPattern = /^([+\-hdt]?)\s*(\d+)\s*([a-z]*)$/i;
+
+/**
+ * Reads what a player typed in an HP box.
+ *
+ * Supported forms:
+ *   - "12": Set current HP to 12.
+ *   - "-12" or "d12": Take 12 damage. A damage type can follow, like "-12 fire".
+ *   - "+8" or "h8": Heal 8 HP.
+ *   - "t10": Gain 10 temporary HP (only if that is more than what the character already has).
+ *
+ * @param {string} input - The text typed by the player.
+ * @returns {{mode: string, amount: number, type: string}|null} What to do ("set", "damage", "heal" or "temp"),
+ *   the amount, and the damage type (may be empty). Null if the text could not be understood.
+ *
+ * @example
+ * parseHealthInput("-7 fire"); // { mode: "damage", amount: 7, type: "fire" }
+ * parseHealthInput("h8");      // { mode: "heal", amount: 8, type: "" }
+ */
+export function parseHealthInput(input) {
+  const match = String(input).trim().match(healthInputPattern);
+  if (!match) return null;
+  const [, prefix, amount, type] = match;
+  const mode = { "": "set", "+": "heal", "h": "heal", "-": "damage", "d": "damage", "t": "temp" }[prefix.toLowerCase()];
+  return { mode, amount: Number(amount), type: type.toLowerCase() };
+}
+
+/**
+ * Applies what a player typed in an HP box to an actor.
+ *
+ * Damage, healing and temporary HP use the dnd5e damage workflow. Setting HP directly
+ * keeps the value between 0 and the character's maximum HP.
+ *
+ * @param {Actor5e} actor - The actor to change.
+ * @param {string} input - The text typed by the player (see parseHealthInput).
+ * @param {Object} [options] - Extra options passed to Actor5e#applyDamage (like a multiplier for half damage).
+ * @returns {Promise<boolean>} True if the input was understood and applied.
+ *
+ * @example
+ * await applyHealthInput(actor, "-12 fire"); // A fire-resistant actor only loses 6 HP.
+ */
+export async function applyHealthInput(actor, input, options = {}) {
+  const parsed = parseHealthInput(input);
+  if (!parsed) {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.hp_input_invalid"));
+    return false;
+  }
+  const { mode, amount, type } = parsed;
+  console.log("Applying HP input to", actor.name, parsed);
+
+  if (mode === "set") {
+    const hp = actor.system.attributes.hp;
+    const max = hp.effectiveMax ?? (hp.max + (hp.tempmax ?? 0));
+    await actor.update({ "system.attributes.hp.value": Math.clamp(amount, 0, max) });
+    return true;
+  }
+
+  const damageType = {
+    heal: "healing",
+    temp: "temphp",
+    damage: type && type in (CONFIG.DND5E.damageTypes ?? {}) ? type : undefined
+  }[mode];
+  if (mode === "damage" && type && !damageType) {
+    ui.notifications.warn(game.i18n.format("FANCYUI5E.hp_unknown_damage_type", { type }));
+  }
+  await actor.applyDamage([{ value: amount, type: damageType }], options);
+  return true;
+}
+
+/**
+ * Applies one HP change to several actors at once, like the damage of a Fireball to the whole party.
+ *
+ * Actors that made their saving throw only take half damage. Healing and temporary HP are never halved.
+ *
+ * @param {Actor5e[]} actors - The actors to change.
+ * @param {string} input - The text typed by the GM (see parseHealthInput).
+ * @param {Object} [options]
+ * @param {Set<string>} [options.saved] - The UUIDs of the actors that made their save and take half damage.
+ * @returns {Promise<boolean>} True if the input was understood and applied.
+ *
+ * @example
+ * // 24 fire damage to everyone, and half of it (12) to the rogue who made the save:
+ * await applyHealthInputToMany(actors, "-24 fire", { saved: new Set([rogue.uuid]) });
+ */
+export async function applyHealthInputToMany(actors, input, { saved = new Set() } = {}) {
+  const parsed = parseHealthInput(input);
+  if (!parsed) {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.hp_input_invalid"));
+    return false;
+  }
+  console.log("Applying HP input to", actors.length, "actors:", parsed);
+  for (const actor of actors) {
+    const half = parsed.mode === "damage" && saved.has(actor.uuid);
+    await applyHealthInput(actor, input, half ? { multiplier: 0.5 } : {});
+  }
+  return true;
+}
+
+/**
+ * Changes one of the temporary HP fields ("temp" or "tempmax") of an actor.
+ *
+ * A plain number replaces the value. "+N" and "-N" add to or take away from it.
+ * Temporary HP can never go below 0, but the temporary max HP modifier can be negative
+ * (for example, after a Wraith's Life Drain).
+ *
+ * @param {Actor5e} actor - The actor to change.
+ * @param {string} field - Either "temp" or "tempmax".
+ * @param {string} input - The text typed by the player.
+ * @returns {Promise<boolean>} True if the input was understood and applied.
+ */
+export async function applyTempHealthInput(actor, field, input) {
+  const text = String(input).trim();
+  const number = Number(text);
+  if (!text || Number.isNaN(number)) {
+    ui.notifications.warn(game.i18n.localize("FANCYUI5E.hp_input_invalid"));
+    return false;
+  }
+  const current = Number(actor.system.attributes.hp[field]) || 0;
+  let value = text.startsWith("+") || text.startsWith("-") ? current + number : number;
+  if (field === "temp") value = Math.max(value, 0);
+  console.log("Updating", field, "HP from", current, "to", value);
+  await actor.update({ [`system.attributes.hp.${field}`]: value || null });
+  return true;
+}
+
+/**
+ * Sets up a tracker for an HP box: the player's character in the character HUD, or any member
+ * in the party HUD for the GM.
+ *
+ * The HP box understands a few short forms (see parseHealthInput in health.js):
+ * "12" sets HP, "-12" (or "-12 fire") is damage, "+8" or "h8" is healing and "t10" is temporary HP.
+ *
+ * Expected data on the HP box:
+ * - data-id: The actor's UUID (see getActorById in utils.js).
+ *
+ * @param {jQuery} html - The HUD element.
+ * @param {string} selector - The HP box (or boxes) inside it.
+ */
+export function setupHealthPointsTracker(html, selector) {
+  console.log("Setting up health points tracker for:", selector);
+  html.on("focus", selector, function () {
+    this.value = "";
+  });
+  html.on("blur", selector, function () {
+    const actor = getActorById(this.dataset.id);
+    if (actor) {
+      const currentHp = actor.system.attributes.hp.value;
+      this.value = currentHp;
+      this.dataset.value = currentHp;
+    }
+  });
+  html.on("keydown", selector, async function (e) {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    e.stopPropagation();
+    const actor = getActorById(this.dataset.id);
+    if (!actor) return;
+    const inputValue = this.value.trim();
+    if (!inputValue) return;
+    await applyHealthInput(actor, inputValue);
+    this.value = "";
+    this.dataset.value = actor.system.attributes.hp.value;
+  });
+}
+
+/**
+ * Sets up the temporary HP and temporary max HP boxes of the player's character.
+ *
+ * Each box has a data-field attribute ("temp" or "tempmax") that says which value it changes.
+ * A plain number replaces the value, and "+N" / "-N" add to or take away from it.
+ *
+ * @param {jQuery} html - The HUD element.
+ * @param {string} selector - The boxes inside it.
+ */
+export function setupTempHealthTracker(html, selector) {
+  console.log("Setting up temporary health tracker for:", selector);
+  html.on("focus", selector, function () {
+    this.value = "";
+  });
+  html.on("blur", selector, function () {
+    const actor = getActorById(this.dataset.id);
+    if (actor) this.value = actor.system.attributes.hp[this.dataset.field] || "";
+  });
+  html.on("keydown", selector, async function (e) {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    e.stopPropagation();
+    const actor = getActorById(this.dataset.id);
+    if (!actor || !this.value.trim()) return;
+    await applyTempHealthInput(actor, this.dataset.field, this.value);
+    this.blur();
+  });
+}
@@ -40,6 +40,8 @@ const actionTypeNames = {
   action: "actions",
   bonus: "bonus_actions",
   reaction: "reactions",
+  legendary: "legendary_actions",
+  lair: "lair_actions",
   crew: "crew_actions",
 };
 
@@ -0,0 +1,213 @@
+/**
+ * The base class for the HUDs of this module.
+ *
+ * Both HUDs (the character HUD and the party HUD) are Foundry applications, built on
+ * ApplicationV2 with Handlebars templates. Think of an application like a window that Foundry
+ * knows how to draw, update and close. Ours have no window frame around them: they sit right
+ * on top of the game canvas, just like the HUDs always did.
+ *
+ * Each HUD is split into "parts" (one template per part). This class makes sure that when a HUD
+ * is drawn again, only the parts whose HTML actually changed are replaced. Open panels stay open,
+ * and an input the player is typing in keeps its focus, text and cursor.
+ *
+ * A part can also be split into smaller pieces, marked with a data-part attribute (like one piece per
+ * party member). A HUD can then draw only some of the pieces, and just those are swapped in place
+ * (see _isPartialRender).
+ *
+ * Other modules can find the HUDs under ui.fancyHudCharacter and ui.fancyHudParty, extend the
+ * classes (set CONFIG.ui.fancyHudCharacter to a subclass during "init"), and use Foundry's render
+ * hooks ("renderFancyCharacterHud" and "renderFancyPartyHud") to change the HTML after it is drawn.
+ */
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Describes an input so the same input can be found again after it is drawn again.
+ *
+ * @param {HTMLElement} element - The input.
+ * @returns {string} A CSS selector made from its tag, id, classes and data-field.
+ */
+function describeInput(element) {
+  let selector = element.tagName.toLowerCase();
+  if (element.id) selector += `#${CSS.escape(element.id)}`;
+  for (const cls of element.classList) selector += `.${CSS.escape(cls)}`;
+  if (element.dataset.field) selector += `[data-field="${CSS.escape(element.dataset.field)}"]`;
+  return selector;
+}
+
+/**
+ * Remembers the input the player is typing in, if it is inside an element.
+ *
+ * @param {HTMLElement} element - A part of the HUD that is about to be replaced.
+ * @returns {{selector: string, value: string, start: number|null, end: number|null}|null} What is needed
+ *   to find the input again and give it back its text and cursor, or null if no input inside had the focus.
+ */
+function captureInputState(element) {
+  const active = document.activeElement;
+  if (!active || !element.contains(active) || !active.matches("input, textarea")) return null;
+  return { selector: describeInput(active), value: active.value, start: active.selectionStart, end: active.selectionEnd };
+}
+
+/**
+ * Gives the focus, text and cursor back to an input after its part of the HUD was replaced.
+ *
+ * @param {HTMLElement} element - The freshly drawn part.
+ * @param {Object|null} state - What captureInputState returned for the old part.
+ */
+function restoreInputState(element, state) {
+  if (!state) return;
+  const input = element.matches(state.selector) ? element : element.querySelector(state.selector);
+  if (!input) return;
+  input.value = state.value;
+  input.focus({ preventScroll: true });
+  try {
+    input.setSelectionRange(state.start, state.end);
+  } catch (err) {
+    // Some input types do not support a cursor position; the focus is enough.
+  }
+}
+
+/**
+ * Checks if a freshly drawn element is the same as the one on the page.
+ *
+ * An open panel has the "show" class. The new element gets it too, so opening a panel does not
+ * count as a change and the panel stays open.
+ *
+ * @param {HTMLElement|null} prior - The element currently on the page, if any.
+ * @param {HTMLElement} element - The freshly drawn element.
+ * @returns {boolean} True if nothing changed.
+ */
+function isUnchanged(prior, element) {
+  if (prior?.classList.contains("show")) element.classList.add("show");
+  return !!prior?.isEqualNode(element);
+}
+
+/**
+ * Swaps the freshly drawn pieces (the children with a data-part attribute) of a part into the part
+ * on the page, and leaves the other pieces alone. Pieces that did not change are skipped.
+ *
+ * @param {HTMLElement} prior - The part currently on the page.
+ * @param {HTMLElement} element - The freshly drawn part, with only some of the pieces.
+ * @returns {string[]|null} The pieces that were replaced, or null if one of them is not on the page
+ *   (then nothing is replaced).
+ */
+function replacePieces(prior, element) {
+  const pieces = Array.from(element.children).filter(piece => piece.dataset.part !== undefined);
+  const olds = pieces.map(piece => prior.querySelector(`:scope > [data-part="${CSS.escape(piece.dataset.part)}"]`));
+  if (olds.some(old => !old)) return null;
+  const replaced = [];
+  pieces.forEach((piece, i) => {
+    if (isUnchanged(olds[i], piece)) return;
+    const input = captureInputState(olds[i]);
+    olds[i].replaceWith(piece);
+    restoreInputState(piece, input);
+    replaced.push(piece.dataset.part);
+  });
+  return replaced;
+}
+
+export class FancyHudApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * Options shared by both HUDs.
+   *
+   * - tag: The HUD is a plain <div>, not a <form>.
+   * - window.frame: No title bar or border around the HUD.
+   * - window.positioned: The position comes from our CSS, not from Foundry.
+   *
+   * @type {Object}
+   */
+  static DEFAULT_OPTIONS = {
+    classes: ["fancy-hud"],
+    tag: "div",
+    window: {
+      frame: false,
+      positioned: false
+    }
+  };
+
+  /**
+   * Draws the HUD again from the latest data. Subclasses decide what "latest" means.
+   *
+   * Hooks should not call this directly; they use the scheduler in render.js, so that several
+   * changes in a row only draw the HUD once.
+   *
+   * @returns {Promise<FancyHudApplication>} The HUD.
+   */
+  async refresh() {
+    return this.render({ force: true });
+  }
+
+  /**
+   * Checks if a render only drew some of the pieces of the parts (see replacePieces).
+   * The HUDs draw everything by default; a subclass returns true for its partial renders.
+   *
+   * @param {Object} options - The render options.
+   * @returns {boolean} True if only some of the pieces were drawn.
+   * @protected
+   */
+  _isPartialRender(options) {
+    return false;
+  }
+
+  /**
+   * Puts the freshly drawn parts on the page, skipping the ones that did not change.
+   *
+   * After a partial render (see _isPartialRender), only the drawn pieces are swapped into each part.
+   * If one of them is not on the page yet (for example, a party member who just joined),
+   * the whole HUD is drawn again instead.
+   *
+   * @param {Object<string, HTMLElement>} result - The freshly drawn parts, by part name.
+   * @param {HTMLElement} content - The HUD element the parts go into.
+   * @param {Object} options - The render options.
+   * @protected
+   */
+  _replaceHTML(result, content, options) {
+    const partial = this._isPartialRender(options);
+    const changed = {};
+    for (const [partId, element] of Object.entries(result)) {
+      const prior = content.querySelector(`[data-application-part="${partId}"]`);
+      if (partial && prior) {
+        const pieces = replacePieces(prior, element);
+        if (!pieces) {
+          console.log(`${this.constructor.name}: a piece is not on the page, drawing the whole HUD`);
+          this.render();
+          return;
+        }
+        console.log(`${this.constructor.name} pieces replaced:`, pieces);
+        continue;
+      }
+      if (isUnchanged(prior, element)) continue;
+      changed[partId] = element;
+    }
+    console.log(`${this.constructor.name} parts replaced:`, Object.keys(changed));
+    super._replaceHTML(changed, content, options);
+  }
+
+  /**
+   * Remembers the input the player is typing in before a part is replaced.
+   *
+   * @param {string} partId - The part being replaced.
+   * @param {HTMLElement} newElement - The freshly drawn part.
+   * @param {HTMLElement} priorElement - The part currently on the page.
+   * @param {Object} state - A place to keep what we remember until _syncPartState.
+   * @protected
+   */
+  _preSyncPartState(partId, newElement, priorElement, state) {
+    super._preSyncPartState(partId, newElement, priorElement, state);
+    state.input = captureInputState(priorElement);
+  }
+
+  /**
+   * Gives the focus, text and cursor back to the input after a part was replaced.
+   *
+   * @param {string} partId - The part that was replaced.
+   * @param {HTMLElement} newElement - The freshly drawn part, now on the page.
+   * @param {HTMLElement} priorElement - The old part, no longer on the page.
+   * @param {Object} state - What _preSyncPartState remembered.
+   * @protected
+   */
+  _syncPartState(partId, newElement, priorElement, state) {
+    super._syncPartState(partId, newElement, priorElement, state);
+    restoreInputState(newElement, state.input);
+  }
+}
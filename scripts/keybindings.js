@@ -0,0 +1,149 @@
+/**
+ * Keyboard shortcuts for the character HUD.
+ *
+ * The shortcuts are Foundry keybindings, so every player can change them (or turn them off) in
+ * Configure Controls, under "Fancy HUD 5e". By default they use the Alt key:
+ *   - Alt+S: Open or close the Stats panel.
+ *   - Alt+A: Open or close the Actions panel.
+ *   - Alt+H: Put the cursor in the HP box, ready to type damage or healing.
+ *   - Alt+I: Roll initiative.
+ *   - Alt+1 to Alt+0: Use the first to tenth favorite, in the order of the Actions panel
+ *     (see getActionSlots in character.js).
+ *
+ * The shortcuts do the same thing as clicking, so the roll options (like the sticky advantage) work too.
+ * The tile or button that was "pressed" lights up for a moment, so players can see what happened.
+ */
+
+import { getActionSlots } from "./character.js";
+
+/**
+ * How long a tile stays lit up after its key is pressed, in milliseconds.
+ *
+ * @type {number}
+ */
+const FLASH_DURATION = 600;
+
+/**
+ * How many favorites get a key (1 to 9, then 0 for the tenth).
+ *
+ * @type {number}
+ */
+const FAVORITE_SLOTS = 10;
+
+/**
+ * Lights up an element of the HUD for a moment.
+ *
+ * @param {HTMLElement|null} element - The element to light up.
+ */
+function flash(element) {
+  if (!element) return;
+  // Removing and adding the class again restarts the animation when a key is pressed twice quickly.
+  element.classList.remove("key-flash");
+  void element.offsetWidth;
+  element.classList.add("key-flash");
+  setTimeout(() => element.classList.remove("key-flash"), FLASH_DURATION);
+}
+
+/**
+ * Finds an element in the character HUD.
+ *
+ * @param {string} selector - The element to find, like ".attr.initiative".
+ * @returns {HTMLElement|null} The element, or null if the HUD is not shown.
+ */
+function findInHud(selector) {
+  const hud = ui.fancyHudCharacter;
+  if (!hud?.rendered) return null;
+  return hud.element.querySelector(selector);
+}
+
+/**
+ * Opens or closes a panel of the character HUD, and lights up its button.
+ *
+ * @param {string} name - The panel: "stats" or "actions".
+ * @returns {boolean} True if the key was used (the HUD is shown).
+ */
+function togglePanel(name) {
+  if (!ui.fancyHudCharacter?.rendered) return false;
+  ui.fancyHudCharacter.togglePanel(name);
+  flash(findInHud(`.${name}-toggle`));
+  return true;
+}
+
+/**
+ * Puts the cursor in the HP box of the character HUD.
+ *
+ * @returns {boolean} True if the key was used (the HP box is shown).
+ */
+function focusHealth() {
+  const input = findInHud("#current-health");
+  if (!input) return false;
+  flash(input);
+  input.focus();
+  return true;
+}
+
+/**
+ * Rolls initiative, like clicking the Ini box.
+ *
+ * @returns {boolean} True if the key was used (the Ini box is shown).
+ */
+function rollInitiative() {
+  const box = findInHud(".attr.initiative[data-action]");
+  if (!box) return false;
+  flash(box);
+  box.click();
+  return true;
+}
+
+/**
+ * Uses one of the favorites, like clicking its tile in the Actions panel.
+ *
+ * An item can show up in more than one section of the panel; all its tiles light up.
+ * When the panel is closed, its button lights up too, as a hint of where the favorite lives.
+ *
+ * @param {number} slot - Which favorite, starting at 0.
+ * @returns {boolean} True if the key was used (there is a favorite in that slot).
+ */
+function useFavorite(slot) {
+  const hud = ui.fancyHudCharacter;
+  const actor = hud?.rendered ? hud.actor : null;
+  if (!actor) return false;
+  const action = getActionSlots(actor)[slot];
+  if (!action) return false;
+  const tiles = hud.element.querySelectorAll(`.character-actions .action[data-item-id="${CSS.escape(action.id)}"]`);
+  if (!tiles.length) return false;
+  console.log("Using favorite", slot + 1, "by keyboard:", action.name);
+  tiles.forEach(flash);
+  if (!findInHud(".character-actions.show")) flash(findInHud(".actions-toggle"));
+  tiles[0].click();
+  return true;
+}
+
+/**
+ * Registers the keyboard shortcuts. Keybindings have to be registered during "init".
+ *
+ * @example
+ * Hooks.once("init", registerKeybindings);
+ */
+export function registerKeybindings() {
+  // Foundry v13 moved KeyboardManager under foundry.helpers.interaction; v12 still has the global class.
+  const KeyboardManagerClass = foundry.helpers?.interaction?.KeyboardManager ?? KeyboardManager;
+  const { ALT } = KeyboardManagerClass.MODIFIER_KEYS;
+  const register = (name, label, key, onDown) => game.keybindings.register("fancy-hud-5e", name, {
+    name: label,
+    editable: [{ key, modifiers: [ALT] }],
+    onDown,
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
+  register("toggle-stats", "FANCYUI5E.keybinding_toggle_stats", "KeyS", () => togglePanel("stats"));
+  register("toggle-actions", "FANCYUI5E.keybinding_toggle_actions", "KeyA", () => togglePanel("actions"));
+  register("focus-health", "FANCYUI5E.keybinding_focus_health", "KeyH", focusHealth);
+  register("roll-initiative", "FANCYUI5E.keybinding_roll_initiative", "KeyI", rollInitiative);
+  for (let slot = 0; slot < FAVORITE_SLOTS; slot++) {
+    const digit = (slot + 1) % 10;
+    // One translation key per slot: Foundry localizes the names when it draws Configure Controls,
+    // and the translations are not loaded yet during "init", so they can not be formatted here.
+    register(`use-favorite-${slot + 1}`, `FANCYUI5E.keybinding_use_favorite_${slot + 1}`, `Digit${digit}`, () => useFavorite(slot));
+  }
+}
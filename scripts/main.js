@@ -1,192 +1,52 @@
 /**
  * Main module file for the Fancy UI 5e module.
  *
- * This file is the heart of the module. It imports helper functions,
- * loads data from the character file, and sets up event listeners.
- * It also renders the HUD (heads-up display) for both the player character and the party.
+ * This file is the heart of the module. It registers the settings, tells Foundry about
+ * the two HUDs (heads-up displays), one for the player character and one for the party,
+ * and listens for changes in the game that mean a HUD has to be drawn again.
  * Think of it like the control center that makes everything show up on your screen
  * and tells the game what to do when you click on things.
  */
 
 import "./helpers.js";
-import { getCharacter, getPartyCharacters, characterData } from "./character.js";
-import * as actions from "./actions.js";
+import * as rolls from "./rolls.js";
 import { isGm } from "./utils.js";
+import { scheduleAll, scheduleCharacter, scheduleParty, setRenderers } from "./render.js";
+import { FancyCharacterHud } from "./character-hud.js";
+import { FancyPartyHud } from "./party-hud.js";
+import { api, registerApi } from "./api.js";
+import { partyGroupChoices } from "./party.js";
+import { resetEconomyOnTurnStart } from "./economy.js";
+import { defaultFavoriteTypes } from "./favorites.js";
+import { skillSortModes } from "./skills.js";
+import { registerKeybindings } from "./keybindings.js";
 
 /**
- * Ensures that an HTML element with the given id exists in the web page.
- * If the element does not exist, it creates a new <div> with that id and adds it to the page.
+ * Checks if an actor is the one shown in the character HUD.
  *
- * @param {string} id - The id of the HTML element.
- * @returns {HTMLElement} The element with the specified id.
+ * @param {Actor5e} actor - The actor that changed.
+ * @returns {boolean} True if the character HUD shows this actor.
  */
-function getOrCreateElement(id) {
-  console.log("Getting or creating element:", id);
-  let elem = document.getElementById(id);
-  if (!elem) {
-    $("body.game").append(`<div id="${id}"></div>`);
-    elem = document.getElementById(id);
-  }
-  return elem;
-}
-
-/**
- * Renders the player's character HUD (heads-up display).
- *
- * This function gets the player's character data and then renders the character
- * using a Handlebars template. If no character is found, it removes the element and tries to create it again.
- *
- * @returns {Promise<void>} A promise that resolves when rendering is complete.
- */
-async function renderCharacter() {
-  console.log("Rendering character");
-  const elem = getOrCreateElement("player-character");
-  const character = getCharacter();
-  console.log("renderCharacter character:", character);
-  if (!character) {
-    // If there is no character, remove the element and create a new one.
-    elem.remove();
-    getOrCreateElement("player-character");
-    return;
-  }
-  // Get all the character data (like name, level, hit points, etc.)
-  const data = characterData(character);
-  console.log("renderCharacter data:", data);
-  if (!data) return;
-  // Render the character using a Handlebars template.
-  const tpl = await renderTemplate("modules/fancy-hud-5e/templates/character.hbs", data);
-  elem.innerHTML = tpl;
-}
-
-/**
- * Renders the party HUD.
- *
- * The party HUD shows all characters in the party. If the module setting "disable-party-hud"
- * is turned on, it will not display anything. Otherwise, it uses a Handlebars template to show all characters.
- *
- * @returns {Promise<void>} A promise that resolves when the party HUD is rendered.
- */
-async function renderParty() {
-  console.log("Rendering party");
-  const disablePartyHud = game.settings.get("fancy-hud-5e", "disable-party-hud");
-  const elem = getOrCreateElement("party");
-  if (disablePartyHud) {
-    console.log("Party HUD disabled");
-    elem.innerHTML = "";
-    return;
-  }
-  const characters = getPartyCharacters().map(characterData);
-  console.log("renderParty characters:", characters);
-  const tpl = await renderTemplate("modules/fancy-hud-5e/templates/party.hbs", { characters });
-  elem.innerHTML = tpl;
-  elem.style.top = `${window.innerHeight / 2 - elem.clientHeight / 2}px`;
-}
-
-/**
- * Activates event listeners for the player HUD.
- *
- * This function adds click listeners to different parts of the player's HUD.
- * It also sets up the health points tracker.
- */
-function activatePlayerListeners() {
-  console.log("Activating player listeners");
-  $(document).on("click", "#player-character .sheet", actions.openSheet);
-  setupHealthPointsTracker("#player-character #current-health");
-  $(document).on("click", "#player-character .action", async (e) => await actions.rollAction(e));
-  $(document).on("click", "#player-character .skill", async (e) => await actions.rollSkill(e));
-  $(document).on("click", "#player-character .save", async (e) => await actions.rollSave(e));
-  $(document).on("click", "#player-character .ability", async (e) => await actions.rollAbility(e));
-  $(document).on("click", "#player-character .actions-toggle", toggleActions);
-  $(document).on("click", "#player-character .stats-toggle", toggleStats);
-
-  // NEW: Right-click listener to toggle the paper doll window inside our HUD.
-  $(document).on("contextmenu", "#player-character .character-picture", (e) => {
-    e.preventDefault(); // Prevent default browser context menu
-    const actor = getCharacter(); // Retrieve the current character actor
-    if (!actor) return ui.notifications.warn("No character data found.");
-
-    // Look for an existing paper doll container.
-    let dollContainer = $("#character-paperdoll");
-    if (!dollContainer.length) {
-      dollContainer = $(`<div id="character-paperdoll" class="character-paperdoll"></div>`);
-      $("#player-character").append(dollContainer);
-    }
-    // Toggle the paper doll container.
-    if (dollContainer.is(":visible")) {
-      dollContainer.hide().empty();
-    } else {
-      // Instantiate the paper doll UI and render it without opening a separate window.
-      const dollApp = new ui.paperDoll(actor);
-      const dollHtml = dollApp.render(false);
-      dollContainer.html(dollHtml);
-      dollContainer.show();
-    }
-  });
-}
-
-/**
- * Toggles (shows or hides) the actions panel in the player's HUD.
- */
-function toggleActions(e) {
-  console.log("Toggling actions");
-  e.stopPropagation();
-  $(".character-actions").toggleClass("show");
-  $(".character-stats").removeClass("show");
-}
-
-/**
- * Toggles (shows or hides) the stats panel in the player's HUD.
- */
-function toggleStats(e) {
-  console.log("Toggling stats");
-  e.stopPropagation();
-  $(".character-stats").toggleClass("show");
-  $(".character-actions").removeClass("show");
-}
-
-/**
- * Activates event listeners for the party HUD.
- */
-function activatePartyListeners() {
-  console.log("Activating party listeners");
-  $(document).on("dblclick", "#party .character-picture", actions.openSheet);
-  $(document).on("click", "#party .character-picture", actions.selectToken);
+function isShownCharacter(actor) {
+  return !!actor && actor.uuid === ui.fancyHudCharacter?.actor?.uuid;
 }
 
 /**
- * Sets up a tracker for the health points (HP) of the player's character.
+ * Settings that need the world's actors. The actors are loaded after "init", but before "setup".
  */
-function setupHealthPointsTracker(selector) {
-  console.log("Setting up health points tracker for:", selector);
-  $(document).on("focus", selector, function () {
-    this.value = "";
-  });
-  $(document).on("blur", selector, function () {
-    const actor = game.actors.get(this.dataset.id);
-    if (actor) {
-      const currentHp = actor.system.attributes.hp.value;
-      this.value = currentHp;
-      this.dataset.value = currentHp;
-    }
-  });
-  $(document).on("keydown", selector, async function (e) {
-    if (e.key !== "Enter") return;
-    e.preventDefault();
-    e.stopPropagation();
-    const actor = game.actors.get(this.dataset.id);
-    if (!actor) return;
-    const current = Number(actor.system.attributes.hp.value);
-    const inputValue = this.value.trim();
-    if (!inputValue) return;
-    let newHp = inputValue.startsWith("+") || inputValue.startsWith("-")
-      ? current + Number(inputValue)
-      : Number(inputValue);
-    console.log("Updating HP from", current, "to", newHp);
-    await actor.update({ "system.attributes.hp.value": newHp });
-    this.value = "";
-    this.dataset.value = newHp;
+Hooks.once("setup", () => {
+  // Which Group actor the party comes from. The list of groups is read when the world loads.
+  game.settings.register("fancy-hud-5e", "party-group", {
+    name: game.i18n.localize("FANCYUI5E.config_party_group"),
+    hint: game.i18n.localize("FANCYUI5E.config_party_group_help"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: partyGroupChoices(),
+    default: "primary",
+    onChange: () => scheduleParty()
   });
-}
+});
 
 /**
  * Module initialization code.
@@ -200,7 +60,84 @@ Hooks.once("init", () => {
     scope: "world",
     config: true,
     type: Boolean,
-    default: false
+    default: false,
+    onChange: () => scheduleParty()
+  });
+
+  // The GM's pinned, hidden and reordered party members (see party.js). Changed from the party HUD, not the settings.
+  game.settings.register("fancy-hud-5e", "party-layout", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { order: [], pinned: [], hidden: [] },
+    onChange: () => scheduleParty()
+  });
+
+  // Whether the GM has the party dashboard expanded (see dashboard.js). Toggled from the party HUD.
+  game.settings.register("fancy-hud-5e", "party-dashboard", {
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => scheduleParty()
+  });
+
+  game.settings.register("fancy-hud-5e", "health-thresholds", {
+    name: game.i18n.localize("FANCYUI5E.config_health_thresholds"),
+    hint: game.i18n.localize("FANCYUI5E.config_health_thresholds_help"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "75, 50, 25",
+    onChange: () => scheduleAll()
+  });
+
+  game.settings.register("fancy-hud-5e", "hide-party-hp", {
+    name: game.i18n.localize("FANCYUI5E.config_hide_party_hp"),
+    hint: game.i18n.localize("FANCYUI5E.config_hide_party_hp_help"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => scheduleParty()
+  });
+
+  // Which modifier key gives advantage, disadvantage, or the full roll dialog. Each player picks their own.
+  const rollKeySettings = { "roll-key-advantage": "shift", "roll-key-disadvantage": "ctrl", "roll-key-dialog": "alt" };
+  for (const [key, defaultKey] of Object.entries(rollKeySettings)) {
+    const suffix = key.replace("roll-key-", "");
+    game.settings.register("fancy-hud-5e", key, {
+      name: game.i18n.localize(`FANCYUI5E.config_roll_key_${suffix}`),
+      hint: game.i18n.localize(`FANCYUI5E.config_roll_key_${suffix}_help`),
+      scope: "client",
+      config: true,
+      type: String,
+      choices: rolls.modifierKeyChoices,
+      default: defaultKey
+    });
+  }
+
+  // Which item types can show up in the Actions panel (see favorites.js). Each player picks their own.
+  game.settings.register("fancy-hud-5e", "favorite-types", {
+    name: game.i18n.localize("FANCYUI5E.config_favorite_types"),
+    hint: game.i18n.localize("FANCYUI5E.config_favorite_types_help"),
+    scope: "client",
+    config: true,
+    type: String,
+    default: defaultFavoriteTypes.join(", "),
+    onChange: () => scheduleCharacter()
+  });
+
+  // How the skills in the Stats panel are sorted (see skills.js). The sort button in the panel changes it too.
+  game.settings.register("fancy-hud-5e", "skill-sort", {
+    name: game.i18n.localize("FANCYUI5E.config_skill_sort"),
+    hint: game.i18n.localize("FANCYUI5E.config_skill_sort_help"),
+    scope: "client",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(skillSortModes.map(mode => [mode, `FANCYUI5E.skill_sort_${mode}`])),
+    default: "alpha",
+    onChange: () => scheduleCharacter()
   });
 
   game.settings.register("fancy-hud-5e", "disable-party-hud", {
@@ -209,55 +146,106 @@ Hooks.once("init", () => {
     scope: "world",
     config: true,
     type: Boolean,
-    default: false
+    default: false,
+    onChange: () => scheduleParty()
   });
 
-  Hooks.on("renderApplication", async (app, html, data) => {
-    console.log("renderApplication hook fired");
-    await renderCharacter();
-    await renderParty();
+  // Foundry creates every application in CONFIG.ui when the game starts, and puts it in the global "ui" object.
+  // Other modules can swap in their own subclass here before that happens.
+  CONFIG.ui.fancyHudCharacter = FancyCharacterHud;
+  CONFIG.ui.fancyHudParty = FancyPartyHud;
+  registerApi();
+  // Keyboard shortcuts for the HUD (see keybindings.js). Players can change them in Configure Controls.
+  registerKeybindings();
+  setRenderers({
+    character: () => ui.fancyHudCharacter?.refresh(),
+    party: (actorUuids) => ui.fancyHudParty?.refresh(actorUuids)
+  });
+
+  // Only the GM sees Foundry's player list. v12 calls it PlayerList, v13 calls it Players.
+  const togglePlayerList = () => {
     if (isGm()) {
       $("#players").removeClass("hidden");
     } else {
       $("#players").addClass("hidden");
     }
-  });
+  };
+  Hooks.on("renderPlayerList", togglePlayerList);
+  Hooks.on("renderPlayers", togglePlayerList);
 
-  Hooks.on("updateActor", async (actor) => {
+  Hooks.on("updateActor", (actor) => {
     console.log("updateActor hook fired");
-    if (actor.id === getCharacter()?.id) {
-      await renderCharacter();
-    }
-    await renderParty();
+    // A Group actor changing can mean members joined or left the party.
+    if (actor.type === "group") return scheduleParty();
+    if (isShownCharacter(actor)) scheduleCharacter();
+    scheduleParty(actor.uuid);
   });
 
-  Hooks.on("updateItem", (item, diff) => {
-    console.log("updateItem hook fired");
-    const actor = item.actor;
-    if (!actor || actor.id !== getCharacter()?.id) return;
-    setTimeout(async () => {
-      await renderCharacter();
-    }, 1000);
-  });
+  // New or deleted actors can change who is in the party.
+  Hooks.on("createActor", () => scheduleParty());
+  Hooks.on("deleteActor", () => scheduleAll());
 
-  Hooks.on("controlToken", async () => {
+  // Items (like favorites, spells or class levels) only matter for the actor that owns them.
+  const onItemChange = (item) => {
+    console.log("Item hook fired");
+    const actor = item.actor;
+    if (!actor) return;
+    if (isShownCharacter(actor)) scheduleCharacter();
+    scheduleParty(actor.uuid);
+  };
+  Hooks.on("createItem", onItemChange);
+  Hooks.on("updateItem", onItemChange);
+  Hooks.on("deleteItem", onItemChange);
+
+  // Effects can live on the actor or on one of its items, so we look for the actor in both places.
+  const onEffectChange = (effect) => {
+    console.log("ActiveEffect hook fired");
+    const actor = effect.target ?? (effect.parent instanceof Actor ? effect.parent : effect.parent?.actor);
+    if (!actor) return;
+    if (isShownCharacter(actor)) scheduleCharacter();
+    scheduleParty(actor.uuid);
+  };
+  Hooks.on("createActiveEffect", onEffectChange);
+  Hooks.on("updateActiveEffect", onEffectChange);
+  Hooks.on("deleteActiveEffect", onEffectChange);
+
+  Hooks.on("controlToken", () => {
     console.log("controlToken hook fired");
     if (!isGm()) return;
-    await renderCharacter();
+    scheduleCharacter();
   });
 
-  Hooks.on("deleteToken", async () => {
+  // Tokens appearing or disappearing change the party when "party-only-active" is on.
+  Hooks.on("createToken", () => scheduleParty());
+  Hooks.on("deleteToken", () => {
     console.log("deleteToken hook fired");
-    if (!isGm()) return;
-    await renderCharacter();
+    scheduleParty();
+    if (isGm()) scheduleCharacter();
   });
 
-  Hooks.once("ready", async () => {
-    console.log("ready hook fired");
-    await renderCharacter();
-    await renderParty();
+  // Assigning a different character to a player changes their HUD.
+  Hooks.on("updateUser", (user) => {
+    if (user.id === game.userId) scheduleCharacter();
+  });
+
+  // The dnd5e primary party was changed in the system settings.
+  Hooks.on("updateSetting", (setting) => {
+    if (setting.key === "dnd5e.primaryParty") scheduleParty();
   });
 
-  activatePlayerListeners();
-  activatePartyListeners();
+  // A new scene has other tokens on it.
+  Hooks.on("canvasReady", () => scheduleAll());
+
+  // Combat changes whose turn it is, the round, the initiative results and the party order.
+  for (const hook of ["combatStart", "updateCombat", "deleteCombat", "createCombatant", "updateCombatant", "deleteCombatant"]) {
+    Hooks.on(hook, () => scheduleAll());
+  }
+  // A new turn clears the action economy of the combatant whose turn it is.
+  Hooks.on("updateCombat", resetEconomyOnTurnStart);
+
+  Hooks.once("ready", () => {
+    console.log("ready hook fired");
+    scheduleAll();
+    Hooks.callAll("fancyHud.ready", api);
+  });
 });
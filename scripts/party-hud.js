@@ -0,0 +1,368 @@
+/**
+ * The party HUD.
+ *
+ * This is the column of small portraits on the left of the screen, one for each party member,
+ * with their health and effects. Clicking a portrait selects the character's token,
+ * and double-clicking it opens the character sheet.
+ *
+ * The HUD has a single part ("members"). Inside it, each member has a data-part attribute with
+ * the actor's UUID, so when only one character changes (for example, they take damage),
+ * only that member is drawn again.
+ *
+ * Who is in the party, and in what order, comes from party.js. The GM can right-click a member
+ * to pin or hide them, and drag members to reorder them.
+ *
+ * The GM can also change HP right in the party HUD, just like in the character HUD, and select
+ * several members to apply the same damage or healing to all of them (like a Fireball).
+ *
+ * During combat, the members are listed in initiative order instead, and the member whose
+ * turn it is is highlighted.
+ *
+ * @example
+ * // Draw the whole party HUD again:
+ * ui.fancyHudParty.refresh();
+ * // Only draw one member again:
+ * ui.fancyHudParty.refresh([actor.uuid]);
+ */
+
+import { FancyHudApplication } from "./hud-application.js";
+import { characterData } from "./character.js";
+import * as actions from "./actions.js";
+import { getPartyLayout, getPartyMembers, moveMember, partyMenuItems } from "./party.js";
+import { getActorById, isGm } from "./utils.js";
+import { sortByInitiative } from "./combat.js";
+import { applyHealthInputToMany, setupHealthPointsTracker } from "./health.js";
+import { getDashboardData, getGroupRollChoices, isDashboardOpen, rollGroup, toggleDashboard } from "./dashboard.js";
+
+export class FancyPartyHud extends FancyHudApplication {
+  /**
+   * The options for the party HUD.
+   *
+   * @type {Object}
+   */
+  static DEFAULT_OPTIONS = {
+    id: "party",
+    actions: {
+      selectToken: actions.selectToken,
+      toggleEffect: actions.toggleEffect,
+      toggleDashboard: FancyPartyHud.#onToggleDashboard,
+      groupRoll: FancyPartyHud.#onGroupRoll,
+      toggleMemberSelection: FancyPartyHud.#onToggleMemberSelection,
+      toggleMemberSaved: FancyPartyHud.#onToggleMemberSaved,
+      applyToSelected: FancyPartyHud.#onApplyToSelected,
+      clearSelection: FancyPartyHud.#onClearSelection
+    }
+  };
+
+  /**
+   * The parts of the party HUD.
+   *
+   * @type {Object<string, {template: string}>}
+   */
+  static PARTS = {
+    members: { template: "modules/fancy-hud-5e/templates/party.hbs" }
+  };
+
+  /**
+   * The members the GM selected to apply damage or healing to, by actor UUID.
+   * The value is true if the member made their saving throw (and takes half damage).
+   *
+   * @type {Map<string, boolean>}
+   */
+  #selected = new Map();
+
+  /**
+   * Draws the party HUD again.
+   *
+   * If the module setting "disable-party-hud" is turned on, the HUD is closed instead.
+   * When only some members changed, only those members are drawn again. If one of them is not
+   * on the page yet (for example, a character who just joined), the whole list is drawn instead.
+   *
+   * @param {string[]|null} [actorUuids=null] - The UUIDs of the members to draw again, or null for the whole party.
+   * @returns {Promise<FancyPartyHud>} The HUD.
+   */
+  async refresh(actorUuids = null) {
+    console.log("Rendering party", actorUuids ?? "(all)");
+    if (game.settings.get("fancy-hud-5e", "disable-party-hud")) {
+      console.log("Party HUD disabled");
+      if (this.rendered) await this.close({ animate: false });
+      return this;
+    }
+    if (actorUuids) {
+      const memberUuids = getPartyMembers({ includeHidden: isGm() }).map(actor => actor.uuid).filter(uuid => actorUuids.includes(uuid));
+      // None of the changed actors are in the party, so there is nothing to draw.
+      if (!memberUuids.length) return this;
+      if (this.rendered && memberUuids.every(uuid => this.#findMember(uuid))) {
+        return this.render({ actorUuids: memberUuids });
+      }
+    }
+    return super.refresh();
+  }
+
+  /**
+   * Finds a member's element on the page.
+   *
+   * @param {string} actorUuid - The actor's UUID.
+   * @returns {HTMLElement|null} The member, or null if it is not shown.
+   */
+  #findMember(actorUuid) {
+    return this.element?.querySelector(`.party-character[data-part="${CSS.escape(actorUuid)}"]`) ?? null;
+  }
+
+  /**
+   * Builds the data the template uses: one entry per party member (see characterData in character.js),
+   * with whether the GM pinned or hid them. The GM also sees the hidden members, the
+   * dashboard data when the dashboard is expanded (see dashboard.js), and which members are selected.
+   * While a combat is running, the members are sorted in initiative order (see combat.js).
+   *
+   * The "fancyHud.preRenderParty" hook is called with the HUD, the data and the render options,
+   * so other modules can add or change things before the template is drawn.
+   *
+   * @param {Object} options - The render options. With options.actorUuids, only those members are included.
+   * @returns {Promise<{characters: Object[]}>} The template data.
+   * @protected
+   */
+  async _prepareContext(options) {
+    let party = sortByInitiative(getPartyMembers({ includeHidden: isGm() }));
+    if (options.actorUuids) party = party.filter(actor => options.actorUuids.includes(actor.uuid));
+    const { pinned, hidden } = getPartyLayout();
+    const dashboard = isGm() && isDashboardOpen();
+    const context = {
+      isGM: isGm(),
+      dashboard,
+      groupRoll: dashboard ? getGroupRollChoices() : null,
+      characters: party.map(actor => ({
+        ...characterData(actor),
+        pinned: pinned.includes(actor.uuid),
+        hiddenFromParty: hidden.includes(actor.uuid),
+        dashboard: dashboard ? getDashboardData(actor) : null,
+        selected: this.#selected.has(actor.uuid),
+        saved: this.#selected.get(actor.uuid) === true
+      }))
+    };
+    // Other modules can change the data here, before it reaches the template.
+    Hooks.callAll("fancyHud.preRenderParty", this, context, options);
+    console.log("renderParty characters:", context.characters);
+    return context;
+  }
+
+  /**
+   * When only some members were drawn (options.actorUuids), they are swapped in place and the other
+   * members are left alone (see _replaceHTML in hud-application.js).
+   *
+   * @param {Object} options - The render options.
+   * @returns {boolean} True if only some members were drawn.
+   * @protected
+   */
+  _isPartialRender(options) {
+    return !!options.actorUuids;
+  }
+
+  /**
+   * Double-clicking a portrait opens the character sheet. Foundry's data-action only handles
+   * single clicks, so this is set up here the first time the HUD is drawn.
+   * The GM also gets editable HP boxes, dragging to reorder members, and a right-click menu to pin or hide them.
+   *
+   * @param {Object} context - The template data.
+   * @param {Object} options - The render options.
+   * @protected
+   */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    console.log("Activating party listeners");
+    const html = $(this.element);
+    html.on("dblclick", ".character-picture", actions.openSheet);
+    if (!isGm()) return;
+
+    // The GM can type in the HP boxes, with the same short forms as the character HUD (like "-12 fire").
+    setupHealthPointsTracker(html, ".current-health");
+
+    // The GM can reorder members by dragging them onto each other.
+    html.on("dragstart", ".party-character", this.#onDragStart.bind(this));
+    html.on("dragover", ".party-character", this.#onDragOver.bind(this));
+    html.on("dragleave", ".party-character", (e) => e.currentTarget.classList.remove("drop-before", "drop-after"));
+    html.on("drop", ".party-character", this.#onDrop.bind(this));
+
+    // Foundry v13 moved ContextMenu under foundry.applications.ux; v12 still has the global class.
+    const ContextMenuClass = foundry.applications.ux?.ContextMenu ?? ContextMenu;
+    new ContextMenuClass(this.element, ".party-character", partyMenuItems(), {
+      fixed: true,
+      jQuery: false
+    });
+  }
+
+  /**
+   * Expands or collapses the GM dashboard. The setting change draws the HUD again.
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @returns {Promise<void>}
+   */
+  static async #onToggleDashboard(event) {
+    event.preventDefault();
+    await toggleDashboard();
+  }
+
+  /**
+   * Rolls the chosen skill check or saving throw for every party member the players can see,
+   * against the DC typed in the box (if any).
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The roll button.
+   * @returns {Promise<void>}
+   */
+  static async #onGroupRoll(event, target) {
+    event.preventDefault();
+    const controls = target.closest(".group-roll");
+    const choice = controls.querySelector(".group-roll-choice").value;
+    const dcText = controls.querySelector(".group-roll-dc").value.trim();
+    const dc = dcText === "" ? null : Number(dcText);
+    await rollGroup(getPartyMembers(), choice, Number.isFinite(dc) ? dc : null);
+  }
+
+  /**
+   * Selects or unselects a member, to apply damage or healing to all the selected members at once.
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked checkbox.
+   * @returns {Promise<FancyPartyHud>}
+   */
+  static async #onToggleMemberSelection(event, target) {
+    event.preventDefault();
+    event.stopPropagation();
+    const actorUuid = target.closest("[data-part]").dataset.part;
+    if (this.#selected.has(actorUuid)) this.#selected.delete(actorUuid);
+    else this.#selected.set(actorUuid, false);
+    console.log("Selected party members:", Array.from(this.#selected.keys()));
+    return this.render({ actorUuids: [actorUuid] });
+  }
+
+  /**
+   * Marks a selected member as having made their saving throw (half damage), or not.
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The clicked shield.
+   * @returns {Promise<FancyPartyHud>}
+   */
+  static async #onToggleMemberSaved(event, target) {
+    event.preventDefault();
+    event.stopPropagation();
+    const actorUuid = target.closest("[data-part]").dataset.part;
+    if (!this.#selected.has(actorUuid)) return this;
+    this.#selected.set(actorUuid, !this.#selected.get(actorUuid));
+    return this.render({ actorUuids: [actorUuid] });
+  }
+
+  /**
+   * Applies what the GM typed in the box (like "-24 fire" or "+10") to every selected member.
+   * Members marked as saved take half damage. The selection is cleared afterwards.
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @param {HTMLElement} target - The apply button.
+   * @returns {Promise<void>}
+   */
+  static async #onApplyToSelected(event, target) {
+    event.preventDefault();
+    const input = target.closest(".party-apply").querySelector(".party-apply-input");
+    const text = input.value.trim();
+    if (!text) return;
+    const actors = Array.from(this.#selected.keys()).map(uuid => getActorById(uuid)).filter(a => a);
+    if (!actors.length) return ui.notifications.warn(game.i18n.localize("FANCYUI5E.party_apply_none"));
+    const saved = new Set(Array.from(this.#selected).filter(([, isSaved]) => isSaved).map(([uuid]) => uuid));
+    const applied = await applyHealthInputToMany(actors, text, { saved });
+    if (!applied) return;
+    input.value = "";
+    this.#selected.clear();
+    await this.render({ force: true });
+  }
+
+  /**
+   * Unselects every member.
+   *
+   * @this {FancyPartyHud}
+   * @param {PointerEvent} event - The click event.
+   * @returns {Promise<FancyPartyHud>}
+   */
+  static async #onClearSelection(event) {
+    event.preventDefault();
+    this.#selected.clear();
+    return this.render({ force: true });
+  }
+
+  /**
+   * Starts dragging a member. The actor's UUID goes along with the drag.
+   *
+   * @param {Event} e - The dragstart event.
+   */
+  #onDragStart(e) {
+    const actorUuid = e.currentTarget.dataset.part;
+    e.originalEvent.dataTransfer.setData("text/plain", JSON.stringify({ type: "FancyHudPartyMember", actorUuid }));
+    e.originalEvent.dataTransfer.effectAllowed = "move";
+  }
+
+  /**
+   * Shows where a dragged member would land: above or below the member under the mouse.
+   *
+   * @param {Event} e - The dragover event.
+   */
+  #onDragOver(e) {
+    e.preventDefault(); // Allows dropping here.
+    const target = e.currentTarget;
+    const after = this.#isLowerHalf(e);
+    target.classList.toggle("drop-before", !after);
+    target.classList.toggle("drop-after", after);
+  }
+
+  /**
+   * Drops a dragged member: it moves above or below the member it was dropped on,
+   * and the new order is saved for everyone.
+   *
+   * @param {Event} e - The drop event.
+   * @returns {Promise<void>}
+   */
+  async #onDrop(e) {
+    e.preventDefault();
+    const target = e.currentTarget;
+    target.classList.remove("drop-before", "drop-after");
+    let data;
+    try {
+      data = JSON.parse(e.originalEvent.dataTransfer.getData("text/plain"));
+    } catch (err) {
+      return; // Something else was dropped here (not a party member).
+    }
+    if (data?.type !== "FancyHudPartyMember") return;
+    console.log("Moving party member:", data.actorUuid, "to", target.dataset.part);
+    await moveMember(data.actorUuid, target.dataset.part, this.#isLowerHalf(e));
+  }
+
+  /**
+   * Checks if the mouse is over the lower half of the member it is on.
+   *
+   * @param {Event} e - A drag event.
+   * @returns {boolean} True for the lower half.
+   */
+  #isLowerHalf(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return e.originalEvent.clientY > rect.top + rect.height / 2;
+  }
+
+  /**
+   * Centers the party HUD vertically after the whole list is drawn, then tells other modules
+   * that the HUD was drawn, with the "fancyHud.renderParty" hook.
+   *
+   * @param {Object} context - The template data.
+   * @param {Object} options - The render options.
+   * @protected
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    if (!options.actorUuids) {
+      this.element.style.top = `${window.innerHeight / 2 - this.element.clientHeight / 2}px`;
+    }
+    Hooks.callAll("fancyHud.renderParty", this, this.element, context, options);
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Who is in the party, and in what order.
+ *
+ * The party comes from a dnd5e Group actor: by default the primary party (set in the dnd5e
+ * system settings), or another group chosen in the "party-group" setting. Worlds without a
+ * party group can still choose "All characters", which shows every character in the world.
+ *
+ * On top of that, the GM can change how the party HUD looks for everyone:
+ *   - Pin a member: pinned members always come first, and are shown even when
+ *     "Show only active characters" would hide them.
+ *   - Hide a member: hidden members are not shown to players (the GM still sees them, faded out).
+ *   - Reorder members: by dragging them in the party HUD.
+ *
+ * These choices are kept in the "party-layout" world setting, so every player sees the same party.
+ */
+
+import { isGm } from "./utils.js";
+
+/**
+ * The actor types that can be shown in the party HUD. Vehicles and nested groups are left out.
+ *
+ * @type {string[]}
+ */
+const memberTypes = ["character", "npc"];
+
+/**
+ * Builds the choices for the "party-group" setting: the primary party, every character,
+ * and each Group actor in the world.
+ *
+ * Groups created later show up after the world is reloaded.
+ *
+ * @returns {Object<string, string>} The choices, by value.
+ */
+export function partyGroupChoices() {
+  const choices = {
+    primary: game.i18n.localize("FANCYUI5E.party_group_primary"),
+    all: game.i18n.localize("FANCYUI5E.party_group_all")
+  };
+  for (const group of game.actors?.filter(actor => actor.type === "group") ?? []) {
+    choices[group.id] = group.name;
+  }
+  return choices;
+}
+
+/**
+ * Finds the Group actor the party comes from.
+ *
+ * @returns {Actor5e|null} The group, or null if the party is "All characters"
+ *   (or the primary party was never set).
+ *
+ * @example
+ * getPartyGroup()?.name; // Might print "The Heroes of Phandalin"
+ */
+export function getPartyGroup() {
+  const choice = game.settings.get("fancy-hud-5e", "party-group");
+  if (choice === "all") return null;
+  if (choice && choice !== "primary") {
+    const group = game.actors.get(choice);
+    if (group) return group;
+    console.warn("The chosen party group no longer exists, using the primary party instead:", choice);
+  }
+  // dnd5e keeps the primary party in a system setting; newer versions also have game.actors.party.
+  if (game.actors.party) return game.actors.party;
+  if (!game.settings.settings.has("dnd5e.primaryParty")) return null;
+  return game.settings.get("dnd5e", "primaryParty")?.actor ?? null;
+}
+
+/**
+ * Lists the actors in a Group actor.
+ *
+ * dnd5e keeps the members as a list of { actor, quantity } entries (older versions kept the actors directly).
+ *
+ * @param {Actor5e} group - The group.
+ * @returns {Actor5e[]} The members, in the group's own order.
+ */
+function getGroupMembers(group) {
+  const members = group.system?.members ?? [];
+  return Array.from(members, member => member?.actor ?? member)
+    .filter(actor => actor instanceof Actor && memberTypes.includes(actor.type));
+}
+
+/**
+ * Reads the GM's choices for the party HUD from the "party-layout" setting.
+ *
+ * @returns {{order: string[], pinned: string[], hidden: string[]}} The actor UUIDs in the chosen order,
+ *   the pinned ones and the hidden ones.
+ */
+export function getPartyLayout() {
+  const layout = game.settings.get("fancy-hud-5e", "party-layout") ?? {};
+  return {
+    order: Array.isArray(layout.order) ? layout.order : [],
+    pinned: Array.isArray(layout.pinned) ? layout.pinned : [],
+    hidden: Array.isArray(layout.hidden) ? layout.hidden : []
+  };
+}
+
+/**
+ * Saves the GM's choices for the party HUD. Only the GM can change world settings.
+ *
+ * @param {{order: string[], pinned: string[], hidden: string[]}} layout - The new layout.
+ * @returns {Promise<void>}
+ */
+async function savePartyLayout(layout) {
+  if (!isGm()) return ui.notifications.warn("Only the GM can change the party.");
+  console.log("Saving party layout:", layout);
+  await game.settings.set("fancy-hud-5e", "party-layout", layout);
+}
+
+/**
+ * Sorts the members by the GM's choices: pinned members first, then the order set by dragging.
+ * Members the GM never moved keep their place after the others.
+ *
+ * @param {Actor5e[]} actors - The members.
+ * @param {{order: string[], pinned: string[]}} layout - The GM's choices.
+ * @returns {Actor5e[]} The sorted members.
+ */
+function sortMembers(actors, { order, pinned }) {
+  const rank = (actor) => {
+    const index = order.indexOf(actor.uuid);
+    return index === -1 ? order.length + actors.indexOf(actor) : index;
+  };
+  return [...actors].sort((a, b) => {
+    const pinnedDiff = Number(pinned.includes(b.uuid)) - Number(pinned.includes(a.uuid));
+    return pinnedDiff || rank(a) - rank(b);
+  });
+}
+
+/**
+ * Gets the party members, in the order they are shown.
+ *
+ * - The members come from the party group (or every character, if "All characters" is chosen).
+ * - If the setting "party-only-active" is enabled, only members with a token on the scene are kept
+ *   (pinned members are always kept).
+ * - Hidden members are left out, unless includeHidden is true.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHidden=false] - True to keep the members the GM hid.
+ * @returns {Actor5e[]} The members.
+ *
+ * @example
+ * getPartyMembers().map(actor => actor.name); // Might print ["Bruenor", "Catti-brie", "Drizzt"]
+ */
+export function getPartyMembers({ includeHidden = false } = {}) {
+  const group = getPartyGroup();
+  let actors = group
+    ? getGroupMembers(group)
+    : game.actors.filter(actor => actor.type === "character");
+  console.log("Party source:", group?.name ?? "all characters", actors.length);
+
+  const layout = getPartyLayout();
+  if (game.settings.get("fancy-hud-5e", "party-only-active")) {
+    // Only include those that have tokens on the canvas.
+    // An unlinked token has its own copy of the actor, with the same ID as the original but another UUID.
+    actors = actors.filter(actor => layout.pinned.includes(actor.uuid)
+      || canvas.tokens?.placeables.some(t => t.actor?.id === actor.id));
+  }
+  if (!includeHidden) actors = actors.filter(actor => !layout.hidden.includes(actor.uuid));
+  return sortMembers(actors, layout);
+}
+
+/**
+ * Pins or unpins a party member.
+ *
+ * @param {string} actorUuid - The member's actor UUID.
+ * @returns {Promise<void>}
+ */
+export async function togglePinned(actorUuid) {
+  const layout = getPartyLayout();
+  layout.pinned = layout.pinned.includes(actorUuid)
+    ? layout.pinned.filter(uuid => uuid !== actorUuid)
+    : [...layout.pinned, actorUuid];
+  await savePartyLayout(layout);
+}
+
+/**
+ * Hides a party member from the players, or shows them again.
+ *
+ * @param {string} actorUuid - The member's actor UUID.
+ * @returns {Promise<void>}
+ */
+export async function toggleHidden(actorUuid) {
+  const layout = getPartyLayout();
+  layout.hidden = layout.hidden.includes(actorUuid)
+    ? layout.hidden.filter(uuid => uuid !== actorUuid)
+    : [...layout.hidden, actorUuid];
+  await savePartyLayout(layout);
+}
+
+/**
+ * Moves a party member to a new place (after dragging it in the party HUD).
+ *
+ * @param {string} actorUuid - The UUID of the member that was dragged.
+ * @param {string} targetUuid - The UUID of the member it was dropped on.
+ * @param {boolean} [after=false] - True to place it after the target (dropped on its lower half).
+ * @returns {Promise<void>}
+ */
+export async function moveMember(actorUuid, targetUuid, after = false) {
+  if (actorUuid === targetUuid) return;
+  const layout = getPartyLayout();
+  // Start from the order the GM sees right now, so members that were never moved get a place too.
+  const order = getPartyMembers({ includeHidden: true }).map(actor => actor.uuid).filter(uuid => uuid !== actorUuid);
+  const index = order.indexOf(targetUuid);
+  if (index === -1) return;
+  order.splice(after ? index + 1 : index, 0, actorUuid);
+  layout.order = order;
+  await savePartyLayout(layout);
+}
+
+/**
+ * The right-click menu the GM gets on a party member: pin or unpin, and hide or show.
+ *
+ * @returns {Object[]} The menu entries for Foundry's ContextMenu.
+ */
+export function partyMenuItems() {
+  const actorUuid = (element) => (element instanceof HTMLElement ? element : element?.[0])?.dataset.part;
+  const isPinned = (element) => getPartyLayout().pinned.includes(actorUuid(element));
+  const isHidden = (element) => getPartyLayout().hidden.includes(actorUuid(element));
+  return [
+    {
+      name: "FANCYUI5E.party_pin",
+      icon: '<i class="fas fa-thumbtack"></i>',
+      condition: (element) => !isPinned(element),
+      callback: (element) => togglePinned(actorUuid(element))
+    },
+    {
+      name: "FANCYUI5E.party_unpin",
+      icon: '<i class="fas fa-thumbtack"></i>',
+      condition: isPinned,
+      callback: (element) => togglePinned(actorUuid(element))
+    },
+    {
+      name: "FANCYUI5E.party_hide",
+      icon: '<i class="fas fa-eye-slash"></i>',
+      condition: (element) => !isHidden(element),
+      callback: (element) => toggleHidden(actorUuid(element))
+    },
+    {
+      name: "FANCYUI5E.party_show",
+      icon: '<i class="fas fa-eye"></i>',
+      condition: isHidden,
+      callback: (element) => toggleHidden(actorUuid(element))
+    }
+  ];
+}
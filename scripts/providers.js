@@ -0,0 +1,127 @@
+/**
+ * Extra action tiles from other modules ("action providers").
+ *
+ * The Actions panel shows the character's favorite items. Other modules (and macros) can add
+ * their own tiles to it by registering a provider. A provider is a function that gets the actor
+ * and returns a list of tiles. Think of it like a guest list: every time the HUD is drawn,
+ * each provider is asked "which extra tiles should this character have?".
+ *
+ * Each tile needs an id, a name, an image and an onUse function that runs when it is clicked.
+ * It can also say which sections it goes in (activationTypes), where it is sorted, limited uses
+ * to show as a badge, and whether it looks used up (depleted).
+ *
+ * @example
+ * game.modules.get("fancy-hud-5e").api.registerActionProvider("my-module", (actor) => [{
+ *   id: "inspire",
+ *   name: "Inspire",
+ *   img: "icons/skills/social/diplomacy-handshake.webp",
+ *   activationTypes: ["bonus"],
+ *   onUse: (event, actor) => ui.notifications.info(`${actor.name} inspires the party!`)
+ * }]);
+ */
+
+import { scheduleCharacter } from "./render.js";
+
+/**
+ * The registered providers, by the ID they were registered with.
+ *
+ * @type {Map<string, Function>}
+ */
+const actionProviders = new Map();
+
+/**
+ * Registers a function that adds extra tiles to the Actions panel.
+ *
+ * Registering again with the same ID replaces the old provider. The character HUD is drawn again
+ * so the new tiles show up.
+ *
+ * @param {string} id - A unique ID for the provider (like your module's ID).
+ * @param {Function} provider - Gets the actor and returns an array of tiles (see the top of this file).
+ */
+export function registerActionProvider(id, provider) {
+  if (typeof provider !== "function") throw new Error("An action provider must be a function.");
+  console.log("Registering action provider:", id);
+  actionProviders.set(id, provider);
+  scheduleCharacter();
+}
+
+/**
+ * Removes a provider registered with registerActionProvider.
+ *
+ * @param {string} id - The ID the provider was registered with.
+ * @returns {boolean} True if there was a provider with that ID.
+ */
+export function unregisterActionProvider(id) {
+  console.log("Removing action provider:", id);
+  const removed = actionProviders.delete(id);
+  if (removed) scheduleCharacter();
+  return removed;
+}
+
+/**
+ * Asks one provider for its tiles. A provider that breaks does not break the HUD.
+ *
+ * @param {string} id - The provider's ID.
+ * @param {Function} provider - The provider.
+ * @param {Actor5e} actor - The character shown in the HUD.
+ * @returns {Object[]} The tiles, or an empty list if the provider failed.
+ */
+function callProvider(id, provider, actor) {
+  try {
+    const tiles = provider(actor);
+    return Array.isArray(tiles) ? tiles.filter(tile => tile?.id) : [];
+  } catch (err) {
+    console.error(`Error in action provider "${id}":`, err);
+    return [];
+  }
+}
+
+/**
+ * Collects the extra tiles of every provider for a character, ready for the template.
+ *
+ * The tiles look just like the favorite item tiles (see getActions in character.js), plus
+ * a "provider" property with the ID of the provider they came from.
+ *
+ * @param {Actor5e} actor - The character shown in the HUD.
+ * @returns {Object[]} The tiles of all providers.
+ */
+export function getProvidedActions(actor) {
+  const actions = [];
+  for (const [id, provider] of actionProviders) {
+    for (const tile of callProvider(id, provider, actor)) {
+      actions.push({
+        id: String(tile.id),
+        name: tile.name ?? "",
+        img: tile.img ?? "icons/svg/d20-black.svg",
+        sort: tile.sort ?? 0,
+        activationTypes: tile.activationTypes?.length ? tile.activationTypes : ["other"],
+        hasActivityChoice: false,
+        uses: tile.uses ?? null,
+        quantity: null,
+        ammo: null,
+        isConsumable: false,
+        usesAmmo: false,
+        depleted: !!tile.depleted,
+        provider: id
+      });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Runs the onUse function of a provider tile that was clicked.
+ *
+ * @param {string} providerId - The provider the tile came from.
+ * @param {string} tileId - The tile's ID.
+ * @param {Actor5e} actor - The character shown in the HUD.
+ * @param {Event} event - The click event.
+ * @returns {Promise<void>}
+ */
+export async function useProvidedAction(providerId, tileId, actor, event) {
+  const provider = actionProviders.get(providerId);
+  const tile = provider ? callProvider(providerId, provider, actor).find(t => String(t.id) === tileId) : null;
+  if (typeof tile?.onUse !== "function") return ui.notifications.warn("Action not found.");
+  console.log("Using provided action:", providerId, tile.name);
+  await tile.onUse(event, actor);
+}
@@ -0,0 +1,128 @@
+/**
+ * Render scheduling for the HUDs.
+ *
+ * Foundry fires a lot of hooks, often several for a single click (an actor update, then an item
+ * update, then an effect update...). Instead of rebuilding the HUDs for every one of them,
+ * hooks ask this file to schedule a render. All the requests made during one animation frame
+ * are then handled together, once.
+ *
+ * When the HUD is drawn again, only the parts whose HTML actually changed are replaced
+ * (see _replaceHTML in hud-application.js).
+ */
+
+/**
+ * What is waiting to be drawn on the next frame.
+ *
+ * - character: True if the character HUD needs to be drawn again.
+ * - partyAll: True if the whole party HUD needs to be drawn again (members added, removed or moved).
+ * - party: The UUIDs of the party members that need to be drawn again.
+ *
+ * @type {{character: boolean, partyAll: boolean, party: Set<string>}}
+ */
+const pending = {
+  character: false,
+  partyAll: false,
+  party: new Set()
+};
+
+/**
+ * The functions that actually draw the HUDs. They are set by main.js with setRenderers.
+ *
+ * @type {{character: Function|null, party: Function|null}}
+ */
+const renderers = {
+  character: null,
+  party: null
+};
+
+/**
+ * The ID of the animation frame that is waiting to run, or null.
+ *
+ * @type {number|null}
+ */
+let frame = null;
+
+/**
+ * True while the HUDs are being drawn. New requests wait for the next frame.
+ *
+ * @type {boolean}
+ */
+let flushing = false;
+
+/**
+ * Tells the scheduler which functions draw the HUDs.
+ *
+ * @param {{character: Function, party: Function}} functions - character() draws the character HUD;
+ *   party(actorUuids) draws the party HUD (all of it if actorUuids is null, or only the given members).
+ */
+export function setRenderers({ character, party }) {
+  renderers.character = character;
+  renderers.party = party;
+}
+
+/**
+ * Asks for the character HUD to be drawn again on the next frame.
+ */
+export function scheduleCharacter() {
+  pending.character = true;
+  requestFlush();
+}
+
+/**
+ * Asks for the party HUD (or some of its members) to be drawn again on the next frame.
+ *
+ * @param {string} [actorUuid] - Only draw this member again (by the actor's UUID). Without it, the whole
+ *   party HUD is drawn.
+ *
+ * @example
+ * scheduleParty(actor.uuid); // Only this member's HP bar and effects are updated.
+ * scheduleParty();           // The whole list is rebuilt (for example, when a token is deleted).
+ */
+export function scheduleParty(actorUuid) {
+  if (actorUuid) pending.party.add(actorUuid);
+  else pending.partyAll = true;
+  requestFlush();
+}
+
+/**
+ * Asks for both HUDs to be drawn again on the next frame.
+ */
+export function scheduleAll() {
+  scheduleCharacter();
+  scheduleParty();
+}
+
+/**
+ * Makes sure a frame is waiting to draw the pending changes.
+ */
+function requestFlush() {
+  if (frame !== null) return;
+  frame = requestAnimationFrame(flush);
+}
+
+/**
+ * Draws everything that was asked for since the last frame.
+ *
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  frame = null;
+  if (flushing) {
+    // Still busy with the previous frame; try again on the next one.
+    requestFlush();
+    return;
+  }
+  flushing = true;
+  const { character, partyAll } = pending;
+  const party = Array.from(pending.party);
+  Object.assign(pending, { character: false, partyAll: false, party: new Set() });
+  try {
+    if (character) await renderers.character?.();
+    if (partyAll) await renderers.party?.(null);
+    else if (party.length) await renderers.party?.(party);
+  } catch (err) {
+    console.error("Error rendering the HUD:", err);
+  } finally {
+    flushing = false;
+  }
+}
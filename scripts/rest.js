@@ -0,0 +1,252 @@
+/**
+ * Short rest and long rest controls for the character HUD.
+ *
+ * This file keeps track of the rest panel: which character it is open for, what the character
+ * looked like before resting, and what came back afterwards (hit points, hit dice, spell slots
+ * and item uses). The panel is shown again every time the HUD is drawn, so it survives the HUD
+ * being rebuilt when the character changes (for example, after spending a hit die).
+ */
+
+import { getActorById } from "./utils.js";
+
+/**
+ * The current state of the rest panel.
+ *
+ * - actorUuid: The UUID of the character the panel belongs to (a UUID, so two unlinked tokens of the same actor each get their own panel).
+ * - open: True while the panel is shown.
+ * - snapshot: What the character looked like when the panel was opened (see takeSnapshot).
+ * - summary: The list of things that came back after the last rest, or null if there was no rest yet.
+ *
+ * @type {{actorUuid: string|null, open: boolean, snapshot: Object|null, summary: Object[]|null}}
+ */
+const restState = {
+  actorUuid: null,
+  open: false,
+  snapshot: null,
+  summary: null
+};
+
+/**
+ * Builds the rest data that the character template needs.
+ *
+ * @param {Actor5e} actor - The character shown in the HUD.
+ * @returns {Object} An object with:
+ *   - open: True if the rest panel should be shown.
+ *   - hitDice: One entry per die size (like "d8") with how many are left and the maximum.
+ *   - rested: True once a rest was taken, so the panel shows the summary.
+ *   - summary: The things recovered by the last rest, or null.
+ *
+ * @example
+ * const rest = getRestData(actor);
+ * console.log(rest.hitDice[0]); // Might print { denomination: "d10", value: 2, max: 3 }
+ */
+export function getRestData(actor) {
+  const isCurrent = restState.actorUuid === actor.uuid;
+  return {
+    open: isCurrent && restState.open,
+    hitDice: getHitDice(actor),
+    rested: isCurrent && restState.summary !== null,
+    summary: isCurrent ? restState.summary : null
+  };
+}
+
+/**
+ * Gets the hit dice of a character, grouped by die size.
+ *
+ * Each class the character has gives its own hit dice (a Fighter uses d10, a Wizard uses d6).
+ * A multiclass character can therefore have more than one size of hit die.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object[]} A list with denomination (like "d8"), value (how many are left) and max.
+ */
+export function getHitDice(actor) {
+  const dice = new Map();
+  for (const cls of actor.itemTypes?.class ?? []) {
+    const hd = cls.system.hd ?? {};
+    if (!hd.denomination) continue;
+    const levels = cls.system.levels ?? 0;
+    const entry = dice.get(hd.denomination) ?? { denomination: hd.denomination, value: 0, max: 0 };
+    entry.value += hd.value ?? (levels - (hd.spent ?? 0));
+    entry.max += hd.max ?? levels;
+    dice.set(hd.denomination, entry);
+  }
+  // Show the biggest dice first, since those heal the most.
+  return Array.from(dice.values()).sort((a, b) => Number(b.denomination.slice(1)) - Number(a.denomination.slice(1)));
+}
+
+/**
+ * Takes a picture of everything a rest can give back, so we can compare it afterwards.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object} The hit points, hit dice, spell slots and item uses of the character right now.
+ */
+function takeSnapshot(actor) {
+  const spells = {};
+  for (const [key, slot] of Object.entries(actor.system.spells ?? {})) {
+    spells[key] = slot?.value ?? 0;
+  }
+  const items = {};
+  for (const item of actor.items) {
+    if (item.system.uses?.max) items[item.id] = item.system.uses.value ?? 0;
+  }
+  return {
+    hp: actor.system.attributes?.hp?.value ?? 0,
+    hd: getHitDice(actor).reduce((total, d) => total + d.value, 0),
+    spells,
+    items
+  };
+}
+
+/**
+ * Compares a character with an earlier snapshot and lists everything that went up.
+ *
+ * @param {Actor5e} actor - The character after resting.
+ * @param {Object} before - The snapshot taken before resting.
+ * @returns {Object[]} A list of recovered things, each with a label and an amount (like "+12").
+ *
+ * @example
+ * // After a long rest that healed 12 HP and gave back 2 first level slots:
+ * // [{ label: "Hit points", amount: 12 }, { label: "Level 1 slots", amount: 2 }]
+ */
+function summarize(actor, before) {
+  const after = takeSnapshot(actor);
+  const summary = [];
+  const add = (label, amount) => {
+    if (amount > 0) summary.push({ label, amount });
+  };
+
+  add(game.i18n.localize("FANCYUI5E.rest_hit_points"), after.hp - before.hp);
+  add(game.i18n.localize("FANCYUI5E.rest_hit_dice"), after.hd - before.hd);
+  for (const [key, value] of Object.entries(after.spells)) {
+    const label = key === "pact"
+      ? game.i18n.localize("FANCYUI5E.rest_pact_slots")
+      : game.i18n.format("FANCYUI5E.rest_spell_slots", { level: key.replace("spell", "") });
+    add(label, value - (before.spells[key] ?? 0));
+  }
+  for (const [id, value] of Object.entries(after.items)) {
+    add(actor.items.get(id)?.name ?? id, value - (before.items[id] ?? 0));
+  }
+  console.log("Rest summary:", summary);
+  return summary;
+}
+
+/**
+ * Finds the character for a click inside the rest panel or on a rest button.
+ *
+ * Expected data on the clicked element or one of its parents:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ *
+ * @param {HTMLElement} target - The clicked element.
+ * @returns {Actor5e|undefined} The actor, or undefined (after showing a warning) if it was not found.
+ */
+function getRestActor(target) {
+  const element = target.closest("[data-character-id]");
+  if (!element) {
+    ui.notifications.warn("No character data found.");
+    return;
+  }
+  const actor = getActorById(element.dataset.characterId);
+  if (!actor) ui.notifications.warn("Actor not found.");
+  return actor;
+}
+
+/**
+ * Opens or closes the rest panel (the short rest button).
+ *
+ * When the panel opens, we take a snapshot of the character so we can show
+ * what came back once the rest is finished, including hit dice spent from the panel.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ */
+export function toggleRestPanel(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const actor = getRestActor(target);
+  if (!actor) return;
+
+  $(".character-actions").removeClass("show");
+  $(".character-stats").removeClass("show");
+  if (restState.open && restState.actorUuid === actor.uuid) {
+    closeRestPanel();
+    return;
+  }
+  console.log("Opening rest panel for:", actor.name);
+  Object.assign(restState, { actorUuid: actor.uuid, open: true, snapshot: takeSnapshot(actor), summary: null });
+  $(".character-rest").addClass("show");
+}
+
+/**
+ * Closes the rest panel and forgets the last rest summary.
+ */
+export function closeRestPanel() {
+  Object.assign(restState, { open: false, snapshot: null, summary: null });
+  $(".character-rest").removeClass("show");
+}
+
+/**
+ * Spends one hit die of the clicked size and heals the character with it.
+ *
+ * Expected data on the clicked element:
+ * - data-denomination: The die size to spend (like "d8").
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ */
+export async function spendHitDie(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const actor = getRestActor(target);
+  if (!actor) return;
+  const denomination = target.dataset.denomination;
+  if (!denomination) return ui.notifications.warn("Missing required data attributes.");
+
+  console.log("Spending hit die:", denomination);
+  await actor.rollHitDie({ denomination }, { configure: false });
+}
+
+/**
+ * Finishes a short rest.
+ *
+ * This runs the dnd5e short rest without its dialog (hit dice were already spent in our panel),
+ * then shows what came back since the panel was opened.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ */
+export async function finishShortRest(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const actor = getRestActor(target);
+  if (!actor) return;
+
+  const before = restState.actorUuid === actor.uuid && restState.snapshot ? restState.snapshot : takeSnapshot(actor);
+  console.log("Taking a short rest:", actor.name);
+  const result = await actor.shortRest({ dialog: false });
+  if (!result) return;
+  Object.assign(restState, { actorUuid: actor.uuid, open: true, snapshot: null, summary: summarize(actor, before) });
+}
+
+/**
+ * Takes a long rest (the long rest button).
+ *
+ * This opens the dnd5e long rest dialog (so the player can choose whether a new day starts).
+ * If the player goes ahead, the rest panel opens and shows what came back.
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ */
+export async function longRest(e, target = e.currentTarget) {
+  e.preventDefault();
+  e.stopPropagation();
+  const actor = getRestActor(target);
+  if (!actor) return;
+
+  $(".character-actions").removeClass("show");
+  $(".character-stats").removeClass("show");
+  const before = takeSnapshot(actor);
+  console.log("Taking a long rest:", actor.name);
+  const result = await actor.longRest({ dialog: true });
+  if (!result) return;
+  Object.assign(restState, { actorUuid: actor.uuid, open: true, snapshot: null, summary: summarize(actor, before) });
+}
@@ -0,0 +1,149 @@
+/**
+ * Roll modifiers for rolls made from the HUD.
+ *
+ * Holding a modifier key while clicking changes how the roll is made. Which key does what is
+ * set per player in the module settings (by default Shift = advantage, Ctrl = disadvantage and
+ * Alt = show the full roll dialog, where a situational bonus and the roll mode can be chosen).
+ *
+ * There is also a "sticky" state, set with a toggle on the HUD, that gives advantage or
+ * disadvantage to the next roll only. It is used up by the next d20 roll (see consumeStickyMode)
+ * and then goes back to normal. Using something without a d20 roll (like a healing spell), or
+ * cancelling the roll dialog, keeps it for the next roll.
+ */
+
+/**
+ * The sticky state for the next roll: "normal", "advantage" or "disadvantage".
+ *
+ * @type {string}
+ */
+let stickyMode = "normal";
+
+/**
+ * The order the sticky toggle goes through when clicked.
+ *
+ * @type {string[]}
+ */
+const stickyModes = ["normal", "advantage", "disadvantage"];
+
+/**
+ * The modifier keys a player can choose from in the settings, and the event property for each one.
+ *
+ * @type {Object<string, string>}
+ */
+const modifierKeys = {
+  shift: "shiftKey",
+  ctrl: "ctrlKey",
+  alt: "altKey",
+  meta: "metaKey"
+};
+
+/**
+ * The choices shown in the settings for each modifier key.
+ *
+ * @type {Object<string, string>}
+ */
+export const modifierKeyChoices = {
+  none: "FANCYUI5E.key_none",
+  shift: "FANCYUI5E.key_shift",
+  ctrl: "FANCYUI5E.key_ctrl",
+  alt: "FANCYUI5E.key_alt",
+  meta: "FANCYUI5E.key_meta"
+};
+
+/**
+ * Checks if the modifier key chosen in a setting was held down during an event.
+ *
+ * @param {Event} e - The click event.
+ * @param {string} setting - The setting that holds the key (like "roll-key-advantage").
+ * @returns {boolean} True if the key was held.
+ */
+function isKeyHeld(e, setting) {
+  const property = modifierKeys[game.settings.get("fancy-hud-5e", setting)];
+  const original = e?.originalEvent ?? e;
+  return !!property && !!original?.[property];
+}
+
+/**
+ * Works out how a roll from the HUD should be made, from the keys held and the sticky state.
+ *
+ * Held keys win over the sticky state. The sticky state is not used up here, because the
+ * roll might never happen; call consumeStickyMode once the d20 roll was made.
+ *
+ * @param {Event} e - The click event.
+ * @returns {{advantage: boolean, disadvantage: boolean, configure: boolean, sticky: boolean}} The roll options:
+ *   advantage, disadvantage, whether to show the full roll dialog, and whether the sticky state was used.
+ *
+ * @example
+ * // With Shift held down:
+ * getRollOptions(event); // { advantage: true, disadvantage: false, configure: false, sticky: false }
+ */
+export function getRollOptions(e) {
+  let advantage = isKeyHeld(e, "roll-key-advantage");
+  let disadvantage = isKeyHeld(e, "roll-key-disadvantage");
+  const configure = isKeyHeld(e, "roll-key-dialog");
+  let sticky = false;
+  if (!advantage && !disadvantage && stickyMode !== "normal") {
+    advantage = stickyMode === "advantage";
+    disadvantage = stickyMode === "disadvantage";
+    sticky = true;
+  }
+  // Holding both keys cancels out, just like having advantage and disadvantage at the same time.
+  if (advantage && disadvantage) advantage = disadvantage = false;
+  console.log("Roll options:", { advantage, disadvantage, configure, sticky });
+  return { advantage, disadvantage, configure, sticky };
+}
+
+/**
+ * Uses up the sticky state after a d20 roll was made with it, so the toggle goes back to normal.
+ *
+ * Nothing happens if the roll did not use the sticky state, or if there was no roll
+ * (the dialog was cancelled, so dnd5e returned nothing).
+ *
+ * @param {{sticky: boolean}} options - The roll options from getRollOptions.
+ * @param {*} result - What the roll returned: the roll (or a list of rolls), or null if it was cancelled.
+ *
+ * @example
+ * const options = getRollOptions(event);
+ * const rolls = await actor.rollSkill({ skill: "ste", advantage: options.advantage });
+ * consumeStickyMode(options, rolls);
+ */
+export function consumeStickyMode(options, result) {
+  if (!options?.sticky) return;
+  if (!result || (Array.isArray(result) && !result.length)) return;
+  setStickyMode("normal");
+}
+
+/**
+ * Gets the sticky state for the next roll, for the template.
+ *
+ * @returns {{mode: string, label: string}} The state ("normal", "advantage" or "disadvantage") and its name.
+ */
+export function getStickyMode() {
+  return { mode: stickyMode, label: game.i18n.localize(`FANCYUI5E.roll_${stickyMode}`) };
+}
+
+/**
+ * Moves the sticky toggle to its next state: normal, then advantage, then disadvantage, then normal again.
+ *
+ * @param {Event} e - The click event.
+ */
+export function cycleStickyMode(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  setStickyMode(stickyModes[(stickyModes.indexOf(stickyMode) + 1) % stickyModes.length]);
+}
+
+/**
+ * Sets the sticky state and updates the toggle on the HUD to match.
+ *
+ * @param {string} mode - "normal", "advantage" or "disadvantage".
+ */
+function setStickyMode(mode) {
+  console.log("Sticky roll mode:", mode);
+  stickyMode = mode;
+  const { label } = getStickyMode();
+  $("#player-character .advantage-toggle")
+    .removeClass(stickyModes.join(" "))
+    .addClass(mode)
+    .attr("data-tooltip", label);
+}
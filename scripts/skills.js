@@ -0,0 +1,205 @@
+/**
+ * The skills and tools of the Stats panel.
+ *
+ * Each skill shows how proficient the character is with a small icon, the same way the dnd5e sheet does:
+ *   - An empty circle: not proficient.
+ *   - A half circle: half proficiency (like a Bard's Jack of All Trades).
+ *   - A check: proficient.
+ *   - A double check: expertise.
+ * Skills rolled with advantage or disadvantage (for example, Stealth in heavy armor) get a small arrow.
+ * Hovering a skill shows its passive score (like Passive Perception).
+ *
+ * The tools the character is proficient with (like Thieves' Tools) are listed under the skills,
+ * and clicking one rolls a tool check.
+ *
+ * Players can sort the skills alphabetically, by ability (all the Dexterity skills together) or by bonus
+ * (the best ones first). The choice is a client setting ("skill-sort"), so each player keeps their own.
+ */
+
+import { getActorById } from "./utils.js";
+import { getRollOptions, consumeStickyMode } from "./rolls.js";
+
+/**
+ * The ways the skills can be sorted, in the order the sort button goes through them.
+ *
+ * @type {string[]}
+ */
+export const skillSortModes = ["alpha", "ability", "bonus"];
+
+/**
+ * The icon of each proficiency level (0 = none, 0.5 = half, 1 = proficient, 2 = expertise).
+ *
+ * @type {Object<number, string>}
+ */
+const proficiencyIcons = {
+  0: "far fa-circle",
+  0.5: "fas fa-circle-half-stroke",
+  1: "fas fa-check",
+  2: "fas fa-check-double"
+};
+
+/**
+ * Reads how the skills are sorted from the "skill-sort" setting.
+ *
+ * @returns {string} "alpha", "ability" or "bonus".
+ */
+export function getSkillSort() {
+  const mode = game.settings.get("fancy-hud-5e", "skill-sort");
+  return skillSortModes.includes(mode) ? mode : "alpha";
+}
+
+/**
+ * Describes a proficiency level: its icon and its name (like "Expertise").
+ *
+ * @param {number} level - The proficiency level (0, 0.5, 1 or 2).
+ * @returns {{level: number, icon: string, label: string}} The level, its icon and its name.
+ */
+function proficiencyData(level) {
+  const value = Number(level) || 0;
+  return {
+    level: value,
+    icon: proficiencyIcons[value] ?? proficiencyIcons[0],
+    label: CONFIG.DND5E.proficiencyLevels?.[value] ?? ""
+  };
+}
+
+/**
+ * Reads whether a skill or tool is rolled with advantage or disadvantage.
+ *
+ * dnd5e keeps it in roll.mode: 1 for advantage, -1 for disadvantage and 0 for a normal roll.
+ *
+ * @param {Object} entry - The skill or tool data.
+ * @returns {{mode: string, icon: string, label: string}|null} The mode ("advantage" or "disadvantage"),
+ *   its arrow icon and its name, or null for a normal roll.
+ */
+function rollModeOf(entry) {
+  const mode = Number(entry?.roll?.mode) || 0;
+  if (mode > 0) return { mode: "advantage", icon: "fa-arrow-up", label: game.i18n.localize("DND5E.Advantage") };
+  if (mode < 0) return { mode: "disadvantage", icon: "fa-arrow-down", label: game.i18n.localize("DND5E.Disadvantage") };
+  return null;
+}
+
+/**
+ * Builds the list of skills for the Stats panel, sorted the way the player chose.
+ *
+ * @param {Actor5e} actor - The character.
+ * @param {string} [sort] - "alpha", "ability" or "bonus". Defaults to the "skill-sort" setting.
+ * @returns {Object[]} One entry per skill, with:
+ *   - key: The skill's abbreviation (like "prc").
+ *   - name: The skill's name (like "Perception").
+ *   - ability: The ability's abbreviation (like "WIS").
+ *   - total: The bonus added to the roll.
+ *   - passive: The passive score (shown when hovering).
+ *   - proficiency: The proficiency level, with its icon and name (see proficiencyData).
+ *   - rollMode: Whether the skill is rolled with advantage or disadvantage (see rollModeOf), or null.
+ *
+ * @example
+ * getSkillsData(actor, "bonus")[0]; // Might print { key: "ste", name: "Stealth", ability: "DEX", total: 7, passive: 17, ... }
+ */
+export function getSkillsData(actor, sort = getSkillSort()) {
+  const skills = Object.entries(actor.system.skills ?? {}).map(([key, skill]) => ({
+    key,
+    name: CONFIG.DND5E.skills[key]?.label ?? key,
+    abilityKey: skill.ability,
+    ability: CONFIG.DND5E.abilities[skill.ability]?.abbreviation?.toUpperCase() ?? skill.ability?.toUpperCase() ?? "",
+    total: skill.total ?? 0,
+    passive: skill.passive ?? 10 + (skill.total ?? 0),
+    proficiency: proficiencyData(skill.value),
+    rollMode: rollModeOf(skill)
+  }));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const abilityOrder = Object.keys(CONFIG.DND5E.abilities);
+  if (sort === "ability") {
+    skills.sort((a, b) => (abilityOrder.indexOf(a.abilityKey) - abilityOrder.indexOf(b.abilityKey)) || byName(a, b));
+  } else if (sort === "bonus") {
+    skills.sort((a, b) => (b.total - a.total) || byName(a, b));
+  } else {
+    skills.sort(byName);
+  }
+  return skills;
+}
+
+/**
+ * Finds the name of a tool, like "Thieves' Tools". dnd5e looks it up in its compendium index.
+ *
+ * @param {string} key - The tool's key (like "thief").
+ * @returns {string} The tool's name, or the key if it is not found.
+ */
+function toolName(key) {
+  return dnd5e.documents?.Trait?.keyLabel?.(key, { trait: "tool" })
+    ?? CONFIG.DND5E.toolTypes?.[key]
+    ?? key;
+}
+
+/**
+ * Builds the list of tools the character is proficient with, sorted by name.
+ *
+ * @param {Actor5e} actor - The character.
+ * @returns {Object[]} One entry per tool, with key, name, ability, total, proficiency and rollMode (like a skill).
+ *
+ * @example
+ * getToolsData(rogue); // Might print [{ key: "thief", name: "Thieves' Tools", ability: "DEX", total: 7, ... }]
+ */
+export function getToolsData(actor) {
+  return Object.entries(actor.system.tools ?? {})
+    .filter(([, tool]) => tool.value)
+    .map(([key, tool]) => ({
+      key,
+      name: toolName(key),
+      ability: CONFIG.DND5E.abilities[tool.ability]?.abbreviation?.toUpperCase() ?? tool.ability?.toUpperCase() ?? "",
+      total: tool.total ?? 0,
+      proficiency: proficiencyData(tool.value),
+      rollMode: rollModeOf(tool)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Describes how the skills are sorted, for the sort button.
+ *
+ * @returns {{mode: string, label: string}} The mode ("alpha", "ability" or "bonus") and its name.
+ */
+export function getSkillSortData() {
+  const mode = getSkillSort();
+  return { mode, label: game.i18n.localize(`FANCYUI5E.skill_sort_${mode}`) };
+}
+
+/**
+ * Rolls a tool check, like picking a lock with Thieves' Tools.
+ *
+ * Expected data on the clicked element:
+ * - data-character-id: The actor's UUID (see getActorById in utils.js).
+ * - data-tool: The tool's key (for example, "thief" for Thieves' Tools).
+ *
+ * @param {Event} e - The click event.
+ * @param {HTMLElement} [target] - The clicked element (the HUD passes it in; defaults to e.currentTarget).
+ * @returns {Promise<void>}
+ */
+export async function rollTool(e, target = e.currentTarget) {
+  e.preventDefault();
+  $(".character-stats").removeClass("show");
+  const element = target.closest("[data-character-id]");
+  const actor = getActorById(element?.dataset.characterId);
+  const tool = element?.dataset.tool;
+  if (!actor || !tool) return ui.notifications.warn("Missing required data attributes.");
+  const options = getRollOptions(e);
+  const { advantage, disadvantage, configure } = options;
+  console.log("Rolling tool check:", tool, "for", actor.name);
+  consumeStickyMode(options, await actor.rollToolCheck({ tool, advantage, disadvantage }, { configure }));
+}
+
+/**
+ * Switches to the next way of sorting the skills (alphabetical, by ability, by bonus, then back).
+ *
+ * The "skill-sort" setting draws the HUD again when it changes (see main.js).
+ *
+ * @param {Event} e - The click event.
+ * @returns {Promise<void>}
+ */
+export async function cycleSkillSort(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  const next = skillSortModes[(skillSortModes.indexOf(getSkillSort()) + 1) % skillSortModes.length];
+  console.log("Sorting skills by:", next);
+  await game.settings.set("fancy-hud-5e", "skill-sort", next);
+}
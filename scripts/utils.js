@@ -19,3 +19,26 @@
 export function isGm() {
 	return game.users.get(game.userId).isGM;
 }
+
+
+/**
+ * Finds an actor from the value of a data attribute in the HUD (like data-character-id).
+ *
+ * The HUD writes the actor's UUID there, not its ID. A token that is not linked to its actor
+ * (like one of five goblins) has its own copy of the actor, and that copy has the same ID as the
+ * actor in the sidebar. Only the UUID (like "Scene.abc.Token.def.Actor.ghi") points at the token's own copy,
+ * so rolls and changes go to the right goblin. A plain actor ID still works too.
+ *
+ * @param {string} idOrUuid - The actor's UUID or ID.
+ * @returns {Actor5e|null} The actor, or null if it does not exist.
+ *
+ * @example
+ * getActorById("Actor.eaoSDox05BrFS9Lh"); // The actor in the sidebar.
+ * getActorById("Scene.x1.Token.y2.Actor.eaoSDox05BrFS9Lh"); // The token's own copy.
+ */
+export function getActorById(idOrUuid) {
+	if (!idOrUuid) return null;
+	if (!idOrUuid.includes(".")) return game.actors.get(idOrUuid) ?? null;
+	const document = fromUuidSync(idOrUuid);
+	return document instanceof Actor ? document : null;
+}